@@ -0,0 +1,168 @@
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./state');
+
+// ═══════════════════════════════════════════════════════════
+// ALERT ROUTING & TIERS
+// ═══════════════════════════════════════════════════════════
+// Urgent auctions and deals scoring at or above a search's instantThreshold go out straight
+// away as single-item alerts; everything else waits in a queue for the next digest.
+// Each search can route to its own channels ("notify") and email recipients ("recipients").
+// During quiet hours only urgent auctions are sent - other instant alerts are held until
+// quiet hours end, and digests are postponed.
+const ALERT_DEFAULTS = {
+  timezone: 'Australia/Adelaide',
+  digestIntervalHours: 24,
+  quietStart: null,
+  quietEnd: null,
+  queuePath: 'state/alert-queue.json'
+};
+
+const TIERS = {
+  INSTANT: 'instant',
+  DIGEST: 'digest'
+};
+
+// "HH:MM" -> minutes after midnight
+const toMinutes = time => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+function minutesInTimezone(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-AU', { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .formatToParts(date);
+  const part = type => Number(parts.find(p => p.type === type).value);
+  return part('hour') * 60 + part('minute');
+}
+
+// Quiet hours may wrap past midnight (e.g. 22:00-07:00)
+function isQuietTime(date, options = {}) {
+  const { quietStart, quietEnd, timezone } = { ...ALERT_DEFAULTS, ...options };
+  if (!quietStart || !quietEnd) return false;
+  const now = minutesInTimezone(date, timezone);
+  const start = toMinutes(quietStart);
+  const end = toMinutes(quietEnd);
+  return start <= end ? now >= start && now < end : now >= start || now < end;
+}
+
+function tierFor(deal, searchConfig) {
+  if (deal.isUrgent) return TIERS.INSTANT;
+  if (searchConfig.instantThreshold !== undefined && deal.aiScore >= searchConfig.instantThreshold) return TIERS.INSTANT;
+  return TIERS.DIGEST;
+}
+
+// Deals with the same route are sent together; null means "every enabled channel, default recipients"
+function routeFor(searchConfig) {
+  return {
+    channels: searchConfig.notify || null,
+    recipients: searchConfig.recipients || null
+  };
+}
+
+const routeKey = route => JSON.stringify([route.channels, route.recipients]);
+
+// Groups queue entries into [{ route, deals }]
+function groupByRoute(entries) {
+  const groups = new Map();
+  entries.forEach(entry => {
+    const key = routeKey(entry.route);
+    if (!groups.has(key)) groups.set(key, { route: entry.route, deals: [] });
+    groups.get(key).deals.push(entry.deal);
+  });
+  return [...groups.values()];
+}
+
+// Cross-field checks for the "alerts" settings section
+function validateAlertSettings(alerts = {}) {
+  const errors = [];
+  if (!!alerts.quietStart !== !!alerts.quietEnd) {
+    errors.push('alerts: quietStart and quietEnd must be set together');
+  }
+  if (alerts.timezone) {
+    try {
+      new Intl.DateTimeFormat('en-AU', { timeZone: alerts.timezone });
+    } catch (error) {
+      errors.push(`alerts: unknown timezone "${alerts.timezone}"`);
+    }
+  }
+  return errors;
+}
+
+// ═══════════════════════════════════════════════════════════
+// ALERT QUEUE
+// ═══════════════════════════════════════════════════════════
+// Persists held instant alerts and pending digest deals between runs, keyed by item ID
+// so a re-alerted listing replaces its older queued copy.
+class AlertQueue {
+  constructor(options = {}) {
+    this.options = { ...ALERT_DEFAULTS, ...options };
+    this.file = path.resolve(this.options.queuePath);
+    this.entries = {};
+    this.lastDigestAt = null;
+  }
+
+  load() {
+    const data = readJsonFile(this.file, { entries: {} });
+    this.entries = data.entries || {};
+    this.lastDigestAt = data.lastDigestAt || null;
+    return this;
+  }
+
+  save() {
+    writeJsonFile(this.file, { updatedAt: new Date().toISOString(), lastDigestAt: this.lastDigestAt, entries: this.entries });
+  }
+
+  get size() {
+    return Object.keys(this.entries).length;
+  }
+
+  add(deal, tier, route) {
+    this.entries[deal.itemId] = { deal, tier, route, queuedAt: new Date().toISOString() };
+  }
+
+  remove(itemIds) {
+    itemIds.forEach(id => delete this.entries[id]);
+  }
+
+  // Narrows the entries' route to the channels that still have to send them; a retry is
+  // sent on the next run without waiting for another digest interval
+  retryOn(itemIds, channels) {
+    itemIds.forEach(id => {
+      const entry = this.entries[id];
+      if (entry) Object.assign(entry, { route: { ...entry.route, channels }, retry: true });
+    });
+  }
+
+  list(tier) {
+    return Object.values(this.entries).filter(entry => entry.tier === tier);
+  }
+
+  // Auctions that ended while queued are no longer worth sending
+  pruneEnded(now = Date.now()) {
+    const ended = Object.values(this.entries)
+      .filter(entry => entry.deal.endTime && Date.parse(entry.deal.endTime) < now)
+      .map(entry => entry.deal.itemId);
+    this.remove(ended);
+    return ended.length;
+  }
+
+  isDigestDue(now = Date.now()) {
+    if (!this.lastDigestAt) return true;
+    return now - Date.parse(this.lastDigestAt) >= this.options.digestIntervalHours * 60 * 60 * 1000;
+  }
+
+  markDigestSent(now = Date.now()) {
+    this.lastDigestAt = new Date(now).toISOString();
+  }
+}
+
+module.exports = {
+  ALERT_DEFAULTS,
+  TIERS,
+  AlertQueue,
+  isQuietTime,
+  tierFor,
+  routeFor,
+  groupByRoute,
+  validateAlertSettings
+};
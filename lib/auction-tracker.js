@@ -0,0 +1,224 @@
+const path = require('path');
+const { readJsonFile, writeJsonFile, ALERT_TAGS } = require('./state');
+const { computePricing } = require('./pricing');
+
+// ═══════════════════════════════════════════════════════════
+// AUCTION FOLLOW-UP TRACKING
+// ═══════════════════════════════════════════════════════════
+// Auctions that were alerted as unicorns are re-checked on their item page at fixed
+// points before they end (checkpointsMinutes) and once more after they close, so the
+// final sale price can be compared with what the ranking predicted.
+const TRACKER_DEFAULTS = {
+  enabled: true,
+  path: 'state/tracked-auctions.json',
+  checkpointsMinutes: [360, 60, 15],
+  finalCheckDelayMinutes: 15,
+  maxFinalChecks: 3,
+  bidJump: 3,
+  retentionDays: 180
+};
+
+const STATUS = {
+  ACTIVE: 'active',
+  CLOSED: 'closed',
+  UNKNOWN: 'unknown'
+};
+
+// ═══════════════════════════════════════════════════════════
+// ITEM PAGE PARSING
+// ═══════════════════════════════════════════════════════════
+const PAGE_SELECTORS = {
+  price: ['.x-bid-price .ux-textspans', '.x-price-primary .ux-textspans', '#prcIsum_bidPrice', '#prcIsum', '[itemprop="price"]'],
+  bids: ['.x-bid-count', '[data-testid="x-bid-count"]', '#qty-test', '.vi-VR-bid-lnk'],
+  status: ['.d-statusmessage', '.x-alert-message', '.vi-status-msg', '#msgPanel']
+};
+
+const clean = text => (text || '').trim().replace(/\s+/g, ' ');
+
+function firstText(doc, selectors) {
+  for (const selector of selectors) {
+    const text = clean(doc.querySelector(selector)?.textContent);
+    if (text) return text;
+  }
+  return null;
+}
+
+// Returns { price, bidCount, ended, sold } from an auction's item page
+function parseAuctionPage(doc) {
+  const bodyText = clean(doc.body?.textContent);
+  const statusText = firstText(doc, PAGE_SELECTORS.status) || '';
+  const bidsText = firstText(doc, PAGE_SELECTORS.bids) || bodyText.match(/\d+\s*bids?\b/i)?.[0] || '';
+  const bidMatch = bidsText.match(/(\d+)\s*bids?/i);
+  const bidCount = bidMatch ? parseInt(bidMatch[1]) : null;
+
+  const ended = /bidding (has )?ended|listing (has|was) ended|this auction (has )?ended|no longer available/i.test(`${statusText} ${bodyText}`);
+  const sold = ended && (/winning bid|sold for/i.test(bodyText) || (bidCount !== null && bidCount > 0)) && !/reserve (was )?not met|ended without/i.test(bodyText);
+
+  return {
+    price: firstText(doc, PAGE_SELECTORS.price),
+    bidCount,
+    ended,
+    sold
+  };
+}
+
+// ═══════════════════════════════════════════════════════════
+// TRACKER STORE
+// ═══════════════════════════════════════════════════════════
+class AuctionTracker {
+  constructor(options = {}) {
+    this.options = { ...TRACKER_DEFAULTS, ...options };
+    this.file = path.resolve(this.options.path);
+    this.auctions = {};
+  }
+
+  load() {
+    const data = readJsonFile(this.file, { auctions: {} });
+    this.auctions = data.auctions || {};
+    return this;
+  }
+
+  save() {
+    this.prune();
+    writeJsonFile(this.file, { updatedAt: new Date().toISOString(), auctions: this.auctions });
+  }
+
+  get size() {
+    return Object.keys(this.auctions).length;
+  }
+
+  active() {
+    return Object.values(this.auctions).filter(entry => entry.status === STATUS.ACTIVE);
+  }
+
+  // Starts tracking an alerted auction; the first flag is kept if it's alerted again
+  track(item, searchConfig, now = Date.now()) {
+    if (!item.isAuction || !item.endTime || this.auctions[item.itemId]) return false;
+    const { description, ...snapshot } = item;
+    const end = Date.parse(item.endTime);
+    this.auctions[item.itemId] = {
+      itemId: item.itemId,
+      searchName: searchConfig.name,
+      marketplace: searchConfig.marketplace || null,
+      title: item.title,
+      link: item.link,
+      endTime: item.endTime,
+      item: snapshot,
+      flaggedAt: new Date(now).toISOString(),
+      flaggedScore: item.aiScore,
+      flaggedLanded: item.pricing.landed,
+      flaggedBidCount: item.bidCount,
+      expectedPrice: searchConfig.expectedPrice ?? null,
+      valueThreshold: searchConfig.maxLandedPrice ?? searchConfig.expectedPrice ?? null,
+      // Checkpoints that had already passed when the auction was flagged are skipped
+      checkpointsDone: this.options.checkpointsMinutes.filter(mins => now >= end - mins * 60000),
+      finalChecks: 0,
+      overValueAlerted: false,
+      lastLanded: item.pricing.landed,
+      lastBidCount: item.bidCount,
+      checks: [],
+      status: STATUS.ACTIVE,
+      final: null
+    };
+    return true;
+  }
+
+  // Active auctions with a checkpoint (or the post-close check) that has come due
+  due(now = Date.now()) {
+    return this.active().filter(entry => {
+      const end = Date.parse(entry.endTime);
+      // Post-close checks are spaced finalCheckDelayMinutes apart until the page shows the result
+      if (now >= end + (entry.finalChecks + 1) * this.options.finalCheckDelayMinutes * 60000) return true;
+      if (now >= end) return false;
+      return this.options.checkpointsMinutes.some(mins => !entry.checkpointsDone.includes(mins) && now >= end - mins * 60000);
+    });
+  }
+
+  // page: parseAuctionPage() result (or null when the fetch failed).
+  // Returns the alert tags the change warrants and updates entry.item for the alert payload.
+  recordCheck(entry, page, pricingOptions, now = Date.now()) {
+    const end = Date.parse(entry.endTime);
+    const afterClose = now >= end + this.options.finalCheckDelayMinutes * 60000;
+    this.options.checkpointsMinutes
+      .filter(mins => now >= end - mins * 60000)
+      .forEach(mins => {
+        if (!entry.checkpointsDone.includes(mins)) entry.checkpointsDone.push(mins);
+      });
+
+    if (!page) {
+      if (afterClose && ++entry.finalChecks >= this.options.maxFinalChecks) entry.status = STATUS.UNKNOWN;
+      return [];
+    }
+
+    const pricing = page.price ? computePricing(page.price, entry.item.shipping, pricingOptions) : entry.item.pricing;
+    const bidCount = page.bidCount ?? entry.lastBidCount;
+    entry.checks.push({ at: new Date(now).toISOString(), landed: pricing.landed, bidCount, ended: page.ended });
+
+    const tags = [];
+    if (!page.ended) {
+      if (bidCount - (entry.lastBidCount || 0) >= this.options.bidJump) tags.push(ALERT_TAGS.BID_JUMP);
+      if (!entry.overValueAlerted && entry.valueThreshold && pricing.landed > entry.valueThreshold) {
+        tags.push(ALERT_TAGS.OVER_VALUE);
+        entry.overValueAlerted = true;
+      }
+    }
+
+    const minsLeft = Math.max(0, Math.round((end - now) / 60000));
+    entry.item = {
+      ...entry.item,
+      price: page.price || entry.item.price,
+      pricing,
+      bidCount,
+      timeLeft: page.ended ? 'N/A' : `${Math.floor(minsLeft / 60)}h ${minsLeft % 60}m`
+    };
+    entry.lastLanded = pricing.landed;
+    entry.lastBidCount = bidCount;
+
+    if (page.ended) {
+      entry.status = STATUS.CLOSED;
+      entry.final = {
+        closedAt: new Date(now).toISOString(),
+        sold: page.sold,
+        price: pricing.price,
+        landed: pricing.landed,
+        bidCount
+      };
+    } else if (afterClose && ++entry.finalChecks >= this.options.maxFinalChecks) {
+      entry.status = STATUS.UNKNOWN;
+    }
+
+    return tags;
+  }
+
+  // How flagged auctions actually finished - a "deal" sold at or below its expected price
+  summary() {
+    const entries = Object.values(this.auctions);
+    const sold = entries.filter(entry => entry.status === STATUS.CLOSED && entry.final.sold && entry.final.landed !== null);
+    const priced = sold.filter(entry => entry.expectedPrice);
+    const deals = priced.filter(entry => entry.final.landed <= entry.expectedPrice);
+    const ratios = priced.map(entry => entry.final.landed / entry.expectedPrice);
+    return {
+      active: entries.filter(entry => entry.status === STATUS.ACTIVE).length,
+      closed: entries.filter(entry => entry.status === STATUS.CLOSED).length,
+      unknown: entries.filter(entry => entry.status === STATUS.UNKNOWN).length,
+      sold: sold.length,
+      deals: deals.length,
+      dealRate: priced.length ? Math.round((deals.length / priced.length) * 100) : null,
+      avgFinalToExpected: ratios.length ? Math.round((ratios.reduce((a, b) => a + b, 0) / ratios.length) * 100) : null
+    };
+  }
+
+  prune(now = Date.now()) {
+    const maxAgeMs = this.options.retentionDays * 24 * 60 * 60 * 1000;
+    Object.entries(this.auctions).forEach(([id, entry]) => {
+      if (entry.status !== STATUS.ACTIVE && now - Date.parse(entry.endTime) > maxAgeMs) delete this.auctions[id];
+    });
+  }
+}
+
+module.exports = {
+  TRACKER_DEFAULTS,
+  STATUS,
+  AuctionTracker,
+  parseAuctionPage
+};
@@ -0,0 +1,100 @@
+// ═══════════════════════════════════════════════════════════
+// COMMAND LINE
+// ═══════════════════════════════════════════════════════════
+const COMMANDS = ['run', 'rerank', 'watch', 'list', 'validate', 'feedback', 'serve'];
+
+// Commands that take positional arguments after the command name
+const COMMANDS_WITH_ARGS = ['feedback'];
+
+const USAGE = `Usage: node scanner.js [command] [options]
+
+Commands:
+  run         Scrape, rank and alert (default)
+  rerank      Re-rank the last saved scrape without fetching eBay again
+  watch       Keep running, each search on its own intervalHours schedule
+  list        Show the configured searches
+  validate    Check the config file and required environment variables
+  feedback <itemId> good|bad [reason]
+              Record your verdict on a reported deal (-s names the search if needed)
+  feedback report
+              Show how often the scanner agreed with your verdicts, month by month
+  serve       Run the local endpoint that the good/bad links in alert emails point at
+
+Options:
+  -s, --search <name>   Only run this search (repeatable, or comma-separated)
+  -n, --dry-run         Rank as usual but send no alerts and save no alert state
+  --json                Print ranked items as JSON on stdout (logs go to stderr)
+  --no-descriptions     Skip Pass 2 (description fetch and re-rank)
+  --send-alerts         With rerank, alert on the re-ranked deals (otherwise nothing is sent)
+  --watch               Same as the watch command
+  -h, --help            Show this help`;
+
+const CLI_DEFAULTS = {
+  command: 'run',
+  searches: [],
+  dryRun: false,
+  json: false,
+  descriptions: true,
+  sendAlerts: false,
+  help: false,
+  args: []
+};
+
+// Throws on unknown commands/options so typos don't silently run every search
+function parseCliArgs(argv) {
+  const options = { ...CLI_DEFAULTS, searches: [], args: [] };
+  let commandSeen = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inlineValue] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [arg, undefined];
+
+    switch (flag) {
+      case '-s':
+      case '--search': {
+        const value = inlineValue ?? argv[++i];
+        if (!value || value.startsWith('-')) throw new Error(`${flag} needs a search name`);
+        options.searches.push(...value.split(',').map(name => name.trim()).filter(Boolean));
+        break;
+      }
+      case '-n':
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      case '--no-descriptions':
+        options.descriptions = false;
+        break;
+      case '--send-alerts':
+        options.sendAlerts = true;
+        break;
+      case '--watch':
+        options.command = 'watch';
+        commandSeen = true;
+        break;
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+        if (commandSeen && COMMANDS_WITH_ARGS.includes(options.command)) {
+          options.args.push(arg);
+          break;
+        }
+        if (commandSeen || !COMMANDS.includes(arg)) throw new Error(`Unknown command: ${arg}`);
+        options.command = arg;
+        commandSeen = true;
+    }
+  }
+
+  return options;
+}
+
+module.exports = {
+  USAGE,
+  CLI_DEFAULTS,
+  parseCliArgs
+};
@@ -0,0 +1,374 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { validateFilterCombination } = require('./search-filters');
+const { MARKETPLACES, validateMarketplaceSearch } = require('./marketplaces');
+const { validateAlertSettings } = require('./alerts');
+const { validateRateLimitSettings } = require('./rate-limiter');
+const { validateRiskSettings } = require('./risk');
+
+// ═══════════════════════════════════════════════════════════
+// SEARCH CONFIG SCHEMA
+// ═══════════════════════════════════════════════════════════
+// Built-in defaults, overridden by the file's "defaults" block, then by each search
+const BUILTIN_DEFAULTS = {
+  postcode: '5000',
+  distance: '200',
+  topN: 5,
+  urgentHours: 4,
+  unicornThreshold: 85,
+  auctionOnly: false,
+  useMarketValue: false,
+  maxPages: 1,
+  scoringMode: 'ai',
+  hybridAiWeight: 0.6,
+  disagreementThreshold: 25,
+  rankBatchSize: 25,
+  rankBatchRetries: 1,
+  intervalHours: 48,
+  jitterMinutes: 0,
+  feedbackExamples: 6,
+  autoThreshold: false
+};
+
+const SEARCH_SCHEMA = {
+  name: { type: 'string', required: true },
+  term: { type: 'string', required: true },
+  expectedPrice: { type: 'number', min: 0 },
+  postcode: { type: 'string' },
+  distance: { type: 'string', pattern: /^\d+$/ },
+  topN: { type: 'integer', min: 1 },
+  urgentHours: { type: 'number', min: 0 },
+  unicornThreshold: { type: 'number', min: 0, max: 100 },
+  auctionOnly: { type: 'boolean' },
+  useMarketValue: { type: 'boolean' },
+  itemsPerPage: { type: 'integer', enum: [60, 120, 240] },
+  maxPages: { type: 'integer', min: 1, max: 20 },
+  scoringMode: { type: 'string', enum: ['ai', 'rules', 'hybrid'] },
+  hybridAiWeight: { type: 'number', min: 0, max: 1 },
+  disagreementThreshold: { type: 'number', min: 0, max: 100 },
+  llmProvider: { type: 'string' },
+  llmModel: { type: 'string' },
+  rankBatchSize: { type: 'integer', min: 1, max: 200 },
+  rankBatchRetries: { type: 'integer', min: 0, max: 5 },
+  maxLandedPrice: { type: 'number', min: 0 },
+  excludeKeywords: { type: 'array', items: 'string' },
+  minPrice: { type: 'number', min: 0 },
+  maxPrice: { type: 'number', min: 0 },
+  conditionIds: { type: 'array', items: 'number' },
+  categoryId: { type: 'integer', min: 0 },
+  buyItNowOnly: { type: 'boolean' },
+  endingWithinHours: { type: 'number', min: 0 },
+  marketplace: { type: 'string', enum: Object.keys(MARKETPLACES) },
+  importShipping: { type: 'number', min: 0 },
+  notify: { type: 'array', items: 'string' },
+  recipients: { type: 'array', items: 'string' },
+  instantThreshold: { type: 'number', min: 0, max: 100 },
+  intervalHours: { type: 'number', min: 0.1 },
+  jitterMinutes: { type: 'number', min: 0 },
+  feedbackExamples: { type: 'integer', min: 0, max: 20 },
+  autoThreshold: { type: 'boolean' },
+  riskBlockLevel: { type: 'string', enum: ['medium', 'high'] }
+};
+
+// Top-level sections besides "defaults" and "searches"
+const SETTINGS_SCHEMA = {
+  state: {
+    path: { type: 'string' },
+    scoreRise: { type: 'number', min: 0 },
+    minPriceDropPercent: { type: 'number', min: 0, max: 100 },
+    retentionDays: { type: 'number', min: 1 }
+  },
+  fetcher: {
+    backend: { type: 'string', enum: ['scraperapi', 'direct', 'replay'] },
+    record: { type: 'boolean' },
+    fixturesDir: { type: 'string' },
+    render: { type: 'boolean' },
+    timeoutMs: { type: 'integer', min: 1000 },
+    headers: { type: 'object' }
+  },
+  llm: {
+    default: { type: 'string' },
+    providers: { type: 'object' }
+  },
+  notify: {
+    channels: { type: 'object' }
+  },
+  tracking: {
+    enabled: { type: 'boolean' },
+    path: { type: 'string' },
+    checkpointsMinutes: { type: 'array', items: 'number' },
+    finalCheckDelayMinutes: { type: 'number', min: 0 },
+    maxFinalChecks: { type: 'integer', min: 1 },
+    bidJump: { type: 'integer', min: 1 },
+    retentionDays: { type: 'number', min: 1 }
+  },
+  scrapeCache: {
+    path: { type: 'string' }
+  },
+  rateLimits: {
+    searchConcurrency: { type: 'integer', min: 1 },
+    descriptionConcurrency: { type: 'integer', min: 1 },
+    maxRetryAfterSeconds: { type: 'number', min: 0 },
+    fetch: { type: 'object' },
+    llm: { type: 'object' },
+    upstreams: { type: 'object' }
+  },
+  budget: {
+    maxScraperRequests: { type: 'integer', min: 0 },
+    maxLlmTokens: { type: 'integer', min: 0 },
+    lowPercent: { type: 'number', min: 0, max: 100 },
+    lowScoreMargin: { type: 'number', min: 0 }
+  },
+  runLog: {
+    enabled: { type: 'boolean' },
+    eventsPath: { type: 'string' },
+    metricsPath: { type: 'string' },
+    historyPath: { type: 'string' },
+    historyKeep: { type: 'integer', min: 1 }
+  },
+  dedupe: {
+    enabled: { type: 'boolean' },
+    titleSimilarity: { type: 'number', min: 0, max: 1 },
+    pricePercent: { type: 'number', min: 0, max: 100 },
+    relistPricePercent: { type: 'number', min: 0, max: 100 }
+  },
+  risk: {
+    enabled: { type: 'boolean' },
+    mediumAt: { type: 'number', min: 1 },
+    highAt: { type: 'number', min: 1 },
+    farBelowMarketPercent: { type: 'number', min: 0, max: 100 },
+    lowFeedbackCount: { type: 'integer', min: 0 }
+  },
+  feedback: {
+    path: { type: 'string' },
+    host: { type: 'string' },
+    port: { type: 'integer', min: 1, max: 65535 },
+    linkBaseUrl: { type: 'string', pattern: /^https?:\/\// },
+    minVerdictsToTune: { type: 'integer', min: 1 }
+  },
+  cache: {
+    enabled: { type: 'boolean' },
+    dir: { type: 'string' },
+    searchPageTtlMinutes: { type: 'number', min: 0 },
+    itemPageTtlHours: { type: 'number', min: 0 },
+    descriptionTtlHours: { type: 'number', min: 0 },
+    llmTtlHours: { type: 'number', min: 0 }
+  },
+  watch: {
+    statusPath: { type: 'string' },
+    tickSeconds: { type: 'integer', min: 1 },
+    flushMinutes: { type: 'number', min: 1 }
+  },
+  report: {
+    enabled: { type: 'boolean' },
+    dir: { type: 'string' },
+    keep: { type: 'integer', min: 1 },
+    descriptionChars: { type: 'integer', min: 0 }
+  },
+  alerts: {
+    timezone: { type: 'string' },
+    digestIntervalHours: { type: 'number', min: 0 },
+    quietStart: { type: 'string', pattern: /^([01]\d|2[0-3]):[0-5]\d$/ },
+    quietEnd: { type: 'string', pattern: /^([01]\d|2[0-3]):[0-5]\d$/ },
+    queuePath: { type: 'string' }
+  },
+  currency: {
+    base: { type: 'string', pattern: /^[A-Z]{3}$/ },
+    rates: { type: 'object' }
+  },
+  marketValue: {
+    cachePath: { type: 'string' },
+    maxAgeDays: { type: 'number', min: 0 },
+    minSamples: { type: 'integer', min: 1 }
+  }
+};
+
+const CONFIG_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// ═══════════════════════════════════════════════════════════
+// FILE LOADING
+// ═══════════════════════════════════════════════════════════
+function readConfigFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  try {
+    return path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : yaml.load(text);
+  } catch (error) {
+    throw new Error(`${file}: ${error.message}`);
+  }
+}
+
+// A config file may hold { defaults, searches: [...] }, a bare array of searches or a single search
+function normaliseConfigFile(data, file) {
+  if (Array.isArray(data)) return { defaults: {}, searches: data, settings: {} };
+  if (!data || typeof data !== 'object') {
+    throw new Error(`${file}: expected an object or an array of searches`);
+  }
+  if (data.searches === undefined && data.term !== undefined) {
+    return { defaults: {}, searches: [data], settings: {} };
+  }
+  const { defaults = {}, searches = [], ...settings } = data;
+  return { defaults, searches, settings };
+}
+
+function listConfigFiles(configPath) {
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Search config not found: ${configPath}`);
+  }
+  if (!fs.statSync(configPath).isDirectory()) return [configPath];
+
+  return fs.readdirSync(configPath)
+    .filter(name => CONFIG_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+    .sort()
+    .map(name => path.join(configPath, name));
+}
+
+// ═══════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════
+function checkField(key, value, rule) {
+  if (rule.type === 'integer') {
+    if (!Number.isInteger(value)) return `${key} must be an integer (got ${JSON.stringify(value)})`;
+  } else if (rule.type === 'array') {
+    if (!Array.isArray(value)) return `${key} must be an array (got ${JSON.stringify(value)})`;
+    if (rule.items && value.some(v => typeof v !== rule.items)) return `${key} must only contain ${rule.items}s`;
+  } else if (typeof value !== rule.type || (rule.type === 'number' && !Number.isFinite(value))) {
+    return `${key} must be a ${rule.type} (got ${JSON.stringify(value)})`;
+  }
+  if (rule.min !== undefined && value < rule.min) return `${key} must be >= ${rule.min} (got ${value})`;
+  if (rule.max !== undefined && value > rule.max) return `${key} must be <= ${rule.max} (got ${value})`;
+  if (rule.pattern && !rule.pattern.test(value)) return `${key} has an invalid format (got "${value}")`;
+  if (rule.enum && !rule.enum.includes(value)) return `${key} must be one of ${rule.enum.join(', ')} (got "${value}")`;
+  return null;
+}
+
+function validateFields(obj, schema) {
+  const errors = [];
+
+  Object.keys(obj).forEach(key => {
+    if (!schema[key]) errors.push(`unknown field "${key}"`);
+  });
+
+  Object.entries(schema).forEach(([key, rule]) => {
+    const value = obj[key];
+    if (value === undefined || value === null) {
+      if (rule.required) errors.push(`${key} is required`);
+      return;
+    }
+    const error = checkField(key, value, rule);
+    if (error) errors.push(error);
+  });
+
+  return errors;
+}
+
+function validateSearch(search) {
+  return validateFields(search, SEARCH_SCHEMA);
+}
+
+function validateSettings(settings) {
+  const errors = [];
+
+  Object.entries(settings).forEach(([section, value]) => {
+    if (!SETTINGS_SCHEMA[section]) {
+      errors.push(`unknown section "${section}"`);
+      return;
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`${section} must be an object`);
+      return;
+    }
+    validateFields(value, SETTINGS_SCHEMA[section]).forEach(error => errors.push(`${section}: ${error}`));
+  });
+
+  return errors;
+}
+
+// Postcodes and distances are often written as numbers in YAML; accept them as strings
+function coerceSearch(search) {
+  const coerced = { ...search };
+  ['postcode', 'distance'].forEach(key => {
+    if (typeof coerced[key] === 'number') coerced[key] = String(coerced[key]);
+  });
+  return coerced;
+}
+
+// ═══════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════
+// Loads every search from a file or directory and returns { defaults, searches, settings, errors }.
+// Errors are collected rather than thrown so validateConfig() can report all of them at once.
+function loadSearchConfig(configPath) {
+  const errors = [];
+  const defaults = { ...BUILTIN_DEFAULTS };
+  const settings = {};
+  const rawSearches = [];
+
+  let files = [];
+  try {
+    files = listConfigFiles(configPath);
+    if (files.length === 0) errors.push(`No ${CONFIG_EXTENSIONS.join('/')} files in ${configPath}`);
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  files.forEach(file => {
+    try {
+      const data = normaliseConfigFile(readConfigFile(file), file);
+      Object.assign(defaults, data.defaults);
+      Object.assign(settings, data.settings);
+      if (!Array.isArray(data.searches)) {
+        errors.push(`${file}: "searches" must be an array`);
+        return;
+      }
+      data.searches.forEach((search, i) => rawSearches.push({ search, source: `${path.basename(file)}#${i + 1}` }));
+    } catch (error) {
+      errors.push(error.message);
+    }
+  });
+
+  const defaultErrors = validateSearch({ name: 'defaults', term: 'defaults', ...coerceSearch(defaults) });
+  defaultErrors.forEach(error => errors.push(`defaults: ${error}`));
+
+  validateSettings(settings).forEach(error => errors.push(`Settings: ${error}`));
+  validateAlertSettings(settings.alerts).forEach(error => errors.push(`Settings: ${error}`));
+  validateRateLimitSettings(settings.rateLimits).forEach(error => errors.push(`Settings: ${error}`));
+  validateRiskSettings(settings.risk).forEach(error => errors.push(`Settings: ${error}`));
+
+  const seenNames = new Set();
+  const searches = [];
+
+  rawSearches.forEach(({ search, source }) => {
+    if (!search || typeof search !== 'object' || Array.isArray(search)) {
+      errors.push(`${source}: search must be an object`);
+      return;
+    }
+    const merged = coerceSearch({ ...defaults, ...search });
+    const label = typeof merged.name === 'string' && merged.name ? `"${merged.name}"` : source;
+
+    validateSearch(merged).forEach(error => errors.push(`Search ${label}: ${error}`));
+    validateFilterCombination(merged).forEach(error => errors.push(`Search ${label}: ${error}`));
+    validateMarketplaceSearch(merged, settings.currency).forEach(error => errors.push(`Search ${label}: ${error}`));
+
+    if (seenNames.has(merged.name)) errors.push(`Search ${label}: duplicate search name`);
+    seenNames.add(merged.name);
+
+    searches.push(merged);
+  });
+
+  if (files.length > 0 && rawSearches.length === 0) {
+    errors.push(`No searches defined in ${configPath}`);
+  }
+
+  return { defaults, searches, settings, errors };
+}
+
+module.exports = {
+  BUILTIN_DEFAULTS,
+  SEARCH_SCHEMA,
+  SETTINGS_SCHEMA,
+  loadSearchConfig,
+  validateSearch,
+  validateSettings,
+  checkField
+};
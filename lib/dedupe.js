@@ -0,0 +1,113 @@
+const { formatMoney } = require('./pricing');
+
+// ═══════════════════════════════════════════════════════════
+// DUPLICATE AND RELIST DETECTION
+// ═══════════════════════════════════════════════════════════
+// The same item can turn up as several unicorns: matched by two searches, listed twice
+// by one seller, or relisted under a new item ID after it didn't sell. mergeDuplicates()
+// folds one run's deals into one entry per item before alerting; findRelist() links a new
+// item ID to an earlier listing in the seen-listing store so its history carries over.
+const DEDUPE_DEFAULTS = {
+  enabled: true,
+  // Share of title words two listings must have in common (Jaccard, 0-1)
+  titleSimilarity: 0.8,
+  // Landed prices within this percentage count as the same item in one run
+  pricePercent: 10,
+  // A relist may be this much cheaper (or dearer) than the earlier listing
+  relistPricePercent: 40
+};
+
+const titleWords = title => new Set((title || '').toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 1));
+
+function titleSimilarity(a, b) {
+  const wordsA = titleWords(a);
+  const wordsB = titleWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+// eBay serves one photo at several sizes (.../g/<id>/s-l225.jpg, s-l500.webp...); the photo ID is what matters
+function imageKey(url) {
+  if (!url) return null;
+  const match = url.match(/\/g\/([^/]+)\//);
+  return match ? match[1] : url.replace(/\/s-l\d+\.\w+$/, '');
+}
+
+const knownSeller = name => name && name !== 'N/A' ? name.toLowerCase() : null;
+
+function priceWithin(a, b, percent) {
+  if (!a || !b) return false;
+  return (Math.abs(a - b) / Math.max(a, b)) * 100 <= percent;
+}
+
+// Listing fields compared across runs: { title, img, sellerName, price }
+function listingKey(item) {
+  return { title: item.title, img: imageKey(item.img), sellerName: knownSeller(item.sellerName), price: item.pricing?.landed ?? null };
+}
+
+// Similar title and price plus one more matching signal (same photo or same seller). With
+// both the same photo and the same seller, a loosely similar title or a matching price is
+// enough - sellers reuse stock photos, so the photo alone never is
+function sameItem(a, b, pricePercent, minSimilarity) {
+  const sameImage = !!a.img && a.img === b.img;
+  const sameSeller = !!a.sellerName && a.sellerName === b.sellerName;
+  const similarity = titleSimilarity(a.title, b.title);
+  const samePrice = priceWithin(a.price, b.price, pricePercent);
+  if (sameImage && sameSeller) return similarity >= minSimilarity / 2 || samePrice;
+  return (sameImage || sameSeller) && similarity >= minSimilarity && samePrice;
+}
+
+// deals: [{ item, searchConfig }] from every search. Returns one deal per item - the
+// highest-scoring copy - with alsoMatched (other search names) and duplicateIds (other
+// item IDs) listing what was folded into it.
+function mergeDuplicates(deals, options = {}) {
+  options = { ...DEDUPE_DEFAULTS, ...options };
+  if (!options.enabled) return deals;
+
+  const groups = [];
+  [...deals].sort((a, b) => b.item.aiScore - a.item.aiScore).forEach(deal => {
+    const key = listingKey(deal.item);
+    const group = groups.find(candidate => candidate.deals.some(other =>
+      other.item.itemId === deal.item.itemId || sameItem(key, listingKey(other.item), options.pricePercent, options.titleSimilarity)));
+    if (group) group.deals.push(deal);
+    else groups.push({ deals: [deal] });
+  });
+
+  return groups.map(({ deals: [primary, ...others] }) => {
+    if (others.length === 0) return primary;
+    const names = new Set(others.map(deal => deal.searchConfig.name));
+    names.delete(primary.searchConfig.name);
+    const ids = new Set(others.map(deal => deal.item.itemId));
+    ids.delete(primary.item.itemId);
+    return { ...primary, alsoMatched: [...names], duplicateIds: [...ids] };
+  });
+}
+
+// The seen-listing record an item relists: another item ID that passes the same checks,
+// with a wider price tolerance. The most recently seen match wins, so chains build up.
+function findRelist(listings, item, options = {}) {
+  options = { ...DEDUPE_DEFAULTS, ...options };
+  if (!options.enabled) return null;
+  const key = listingKey(item);
+  return Object.values(listings)
+    .filter(record => record.itemId !== item.itemId)
+    .filter(record => sameItem(key, listingKey({ ...record, pricing: { landed: record.lastPrice } }), options.relistPricePercent, options.titleSimilarity))
+    .sort((a, b) => Date.parse(b.lastSeen) - Date.parse(a.lastSeen))[0] || null;
+}
+
+// "relisted 3 times, price down from AU $1,400.00" for a record carrying relist history
+function relistNote(record, currency) {
+  if (!record?.relistCount) return null;
+  const times = record.relistCount === 1 ? 'relisted once' : `relisted ${record.relistCount} times`;
+  const { firstPrice, lastPrice } = record;
+  if (!firstPrice || !lastPrice || firstPrice === lastPrice) return times;
+  return `${times}, price ${lastPrice < firstPrice ? 'down' : 'up'} from ${formatMoney(firstPrice, currency)}`;
+}
+
+module.exports = {
+  DEDUPE_DEFAULTS,
+  mergeDuplicates,
+  findRelist,
+  relistNote
+};
@@ -0,0 +1,274 @@
+const path = require('path');
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./state');
+
+// ═══════════════════════════════════════════════════════════
+// VERDICT STORE
+// ═══════════════════════════════════════════════════════════
+// Our own good/bad verdicts on reported deals, kept per search and keyed by item ID (a new
+// verdict on the same item replaces the old one). They go back into the ranking prompt as
+// few-shot examples (see selectExamples) and can retune a search's unicornThreshold.
+const FEEDBACK_DEFAULTS = {
+  path: 'state/feedback.json',
+  host: '127.0.0.1',
+  port: 8787,
+  // Base URL the email's good/bad links point at, e.g. http://192.168.1.10:8787 (unset = no links)
+  linkBaseUrl: null,
+  minVerdictsToTune: 10
+};
+
+const VERDICTS = {
+  GOOD: 'good',
+  BAD: 'bad'
+};
+
+const words = text => new Set((text || '').toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 2));
+
+class FeedbackStore {
+  constructor(options = {}) {
+    this.options = { ...FEEDBACK_DEFAULTS, ...options };
+    this.file = path.resolve(this.options.path);
+    this.searches = {};
+  }
+
+  load() {
+    this.searches = readJsonFile(this.file, { searches: {} }).searches || {};
+    return this;
+  }
+
+  save() {
+    writeJsonFile(this.file, { updatedAt: new Date().toISOString(), searches: this.searches });
+  }
+
+  get size() {
+    return Object.values(this.searches).reduce((total, verdicts) => total + Object.keys(verdicts).length, 0);
+  }
+
+  // snapshot: { title, price, condition, landed, score, threshold } as the scanner saw the item
+  add(searchName, itemId, verdict, reason = '', snapshot = {}) {
+    if (!Object.values(VERDICTS).includes(verdict)) {
+      throw new Error(`Verdict must be one of ${Object.values(VERDICTS).join(', ')} (got "${verdict}")`);
+    }
+    if (!this.searches[searchName]) this.searches[searchName] = {};
+    const entry = {
+      itemId,
+      verdict,
+      reason: reason || '',
+      at: new Date().toISOString(),
+      title: snapshot.title || null,
+      price: snapshot.price || null,
+      condition: snapshot.condition || null,
+      landed: snapshot.landed ?? null,
+      score: snapshot.score ?? null,
+      threshold: snapshot.threshold ?? null
+    };
+    this.searches[searchName][itemId] = entry;
+    return entry;
+  }
+
+  // Newest first
+  forSearch(searchName) {
+    return Object.values(this.searches[searchName] || {}).sort((a, b) => Date.parse(b.at) - Date.parse(a.at));
+  }
+
+  names() {
+    return Object.keys(this.searches);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════
+// PROMPT EXAMPLES
+// ═══════════════════════════════════════════════════════════
+// Picks up to max verdicts whose titles share the most words with the items being ranked,
+// newest first on ties, alternating good and bad so the model sees both sides
+function selectExamples(verdicts, items, max) {
+  if (!verdicts?.length || !max) return [];
+  const itemWords = new Set(items.flatMap(item => [...words(item.title)]));
+  const scored = verdicts
+    .filter(verdict => verdict.title)
+    .map((verdict, order) => ({
+      verdict,
+      order,
+      overlap: [...words(verdict.title)].filter(word => itemWords.has(word)).length
+    }))
+    .sort((a, b) => b.overlap - a.overlap || a.order - b.order);
+
+  const good = scored.filter(entry => entry.verdict.verdict === VERDICTS.GOOD);
+  const bad = scored.filter(entry => entry.verdict.verdict === VERDICTS.BAD);
+  const picked = [];
+  while (picked.length < max && (good.length || bad.length)) {
+    const next = (picked.length % 2 === 0 ? good : bad).shift() || good.shift() || bad.shift();
+    picked.push(next.verdict);
+  }
+  return picked;
+}
+
+function formatExample(verdict, currency) {
+  const details = [
+    verdict.landed !== null ? `${currency} ${verdict.landed} landed` : verdict.price,
+    verdict.condition !== 'N/A' ? verdict.condition : null,
+    verdict.score !== null ? `scanner scored it ${verdict.score}` : null
+  ].filter(Boolean).join(', ');
+  return `- ${verdict.verdict.toUpperCase()}: "${verdict.title}"${details ? ` (${details})` : ''}${verdict.reason ? ` - ${verdict.reason}` : ''}`;
+}
+
+// ═══════════════════════════════════════════════════════════
+// AGREEMENT AND THRESHOLD TUNING
+// ═══════════════════════════════════════════════════════════
+// A verdict agrees with the scanner when "good" matches "scored at or above the threshold
+// it had at the time"
+function agrees(verdict) {
+  if (verdict.score === null || verdict.threshold === null) return null;
+  return (verdict.score >= verdict.threshold) === (verdict.verdict === VERDICTS.GOOD);
+}
+
+// Agreement per calendar month, oldest first: [{ month: '2026-09', verdicts, agreed, rate }]
+function agreementByMonth(verdicts) {
+  const months = new Map();
+  verdicts.forEach(verdict => {
+    const agreed = agrees(verdict);
+    if (agreed === null) return;
+    const month = verdict.at.substring(0, 7);
+    const entry = months.get(month) || { month, verdicts: 0, agreed: 0 };
+    entry.verdicts++;
+    if (agreed) entry.agreed++;
+    months.set(month, entry);
+  });
+  return [...months.values()]
+    .sort((a, b) => a.month.localeCompare(b.month))
+    .map(entry => ({ ...entry, rate: Math.round((entry.agreed / entry.verdicts) * 100) }));
+}
+
+// The threshold that best separates good from bad verdicts by score, or null without
+// minVerdicts scored verdicts of both kinds. Ties go to the value closest to current.
+function suggestThreshold(verdicts, current, minVerdicts = FEEDBACK_DEFAULTS.minVerdictsToTune) {
+  const scored = verdicts.filter(verdict => verdict.score !== null);
+  const good = scored.filter(verdict => verdict.verdict === VERDICTS.GOOD).length;
+  if (scored.length < minVerdicts || good === 0 || good === scored.length) return null;
+
+  let best = null;
+  for (let threshold = 0; threshold <= 100; threshold++) {
+    const correct = scored.filter(verdict => (verdict.score >= threshold) === (verdict.verdict === VERDICTS.GOOD)).length;
+    const distance = Math.abs(threshold - current);
+    if (!best || correct > best.correct || (correct === best.correct && distance < best.distance)) {
+      best = { threshold, correct, distance };
+    }
+  }
+  return { threshold: best.threshold, accuracy: Math.round((best.correct / scored.length) * 100), verdicts: scored.length };
+}
+
+// ═══════════════════════════════════════════════════════════
+// LOCAL ENDPOINT
+// ═══════════════════════════════════════════════════════════
+// GET /feedback?search=<name>&item=<id>&verdict=good|bad[&token=...] - the links in alert
+// emails - only shows a confirmation form, so link scanners and previews record nothing;
+// the form POSTs the same fields (plus an optional reason) to record the verdict.
+// record(searchName, itemId, verdict, reason) saves the verdict and returns the stored entry.
+// Listening beyond localhost needs a token, since anyone who can reach the port could vote.
+const escapeHtml = text => String(text ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+const isLoopback = host => /^(localhost|127\.\d+\.\d+\.\d+|::1)$/i.test(host || '');
+
+// Constant-time comparison, so response timing doesn't leak how much of a guess was right
+function tokenMatches(given, expected) {
+  const a = Buffer.from(given || '');
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// POST bodies are a handful of short form fields
+const MAX_BODY_BYTES = 10 * 1024;
+
+function feedbackLink(baseUrl, searchName, itemId, verdict, token) {
+  const params = new URLSearchParams({ search: searchName, item: itemId, verdict });
+  if (token) params.set('token', token);
+  return `${baseUrl.replace(/\/$/, '')}/feedback?${params}`;
+}
+
+// Drops the connection as soon as the body passes MAX_BODY_BYTES instead of reading on
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        req.off('data', onData);
+        req.destroy();
+        reject(new Error('request body too large'));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(new URLSearchParams(Buffer.concat(chunks).toString('utf8'))));
+    req.on('error', reject);
+  });
+}
+
+function createFeedbackServer(record, { token = null, host = FEEDBACK_DEFAULTS.host, log = console.log } = {}) {
+  if (!token && !isLoopback(host)) {
+    throw new Error(`Feedback endpoint on ${host} needs FEEDBACK_TOKEN set (only localhost may run without one)`);
+  }
+  const http = require('http');
+  const page = (status, body) => [status, `<!doctype html><meta charset="utf-8"><title>Deal feedback</title><body style="font-family:sans-serif;max-width:40em;margin:2em auto">${body}</body>`];
+  const form = (params, reason, button) => {
+    const hidden = ['search', 'item', 'verdict', 'token']
+      .filter(name => params.get(name))
+      .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(params.get(name))}">`).join('');
+    return `<form method="post" action="/feedback">${hidden}<input name="reason" value="${escapeHtml(reason)}" placeholder="Why? (optional)" size="40"> <button>${button}</button></form>`;
+  };
+
+  const handle = async req => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/feedback') return page(404, '<p>Not found</p>');
+    if (req.method !== 'GET' && req.method !== 'POST') return page(405, '<p>Method not allowed</p>');
+
+    const params = req.method === 'POST' ? await readForm(req) : url.searchParams;
+    if (token && !tokenMatches(params.get('token'), token)) return page(403, '<p>Invalid token</p>');
+
+    const searchName = params.get('search');
+    const itemId = params.get('item');
+    const verdict = params.get('verdict');
+    const reason = params.get('reason') || '';
+    if (!searchName || !itemId) return page(400, '<p>search and item are required</p>');
+    const icon = verdict === VERDICTS.GOOD ? '👍' : '👎';
+
+    if (req.method === 'GET') {
+      return page(200, `<h2>${icon} Mark as ${escapeHtml(verdict)}?</h2>
+<p>Item ${escapeHtml(itemId)} <small>(${escapeHtml(searchName)})</small></p>
+${form(params, reason, `Save ${escapeHtml(verdict)}`)}`);
+    }
+
+    try {
+      const entry = record(searchName, itemId, verdict, reason);
+      log(`📝 Feedback: ${verdict} for ${itemId} (${searchName})${reason ? ` - ${reason}` : ''}`);
+      return page(200, `<h2>${icon} Saved: ${escapeHtml(verdict)}</h2>
+<p>${escapeHtml(entry.title || itemId)} <small>(${escapeHtml(searchName)})</small></p>
+${form(params, reason, 'Save reason')}`);
+    } catch (error) {
+      return page(400, `<p>${escapeHtml(error.message)}</p>`);
+    }
+  };
+
+  return http.createServer((req, res) => {
+    handle(req)
+      .catch(error => page(400, `<p>${escapeHtml(error.message)}</p>`))
+      .then(([status, html]) => {
+        res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(html);
+      });
+  });
+}
+
+module.exports = {
+  FEEDBACK_DEFAULTS,
+  VERDICTS,
+  FeedbackStore,
+  selectExamples,
+  formatExample,
+  agreementByMonth,
+  suggestThreshold,
+  feedbackLink,
+  createFeedbackServer
+};
@@ -0,0 +1,164 @@
+const fetch = require('node-fetch');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./state');
+const { responseError } = require('./rate-limiter');
+
+// ═══════════════════════════════════════════════════════════
+// PAGE FETCH BACKENDS
+// ═══════════════════════════════════════════════════════════
+// Every backend exposes { name, requiredKeys, throttle, creditsPerRequest, fetch(url) -> html }.
+// requiredKeys are the CONFIG keys validateConfig() must check for that backend,
+// throttle says whether fetchWithDelay() should apply the upstream's rate limit (settings.rateLimits),
+// creditsPerRequest is what one page costs on a paid backend (used to report cache savings).
+// Replay also has fetchedAt(url) -> ISO time the page was recorded, so times parsed from it stay right.
+const FETCHER_DEFAULTS = {
+  backend: 'scraperapi',
+  record: false,
+  fixturesDir: 'fixtures',
+  render: true,
+  timeoutMs: 60000,
+  headers: {}
+};
+
+const BACKENDS = ['scraperapi', 'direct', 'replay'];
+
+const DIRECT_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+  'Accept-Language': 'en-AU,en;q=0.9'
+};
+
+async function readBody(res, label) {
+  if (!res.ok) {
+    throw responseError(`${label} ${res.status}: ${res.statusText}`, res);
+  }
+  return res.text();
+}
+
+function createScraperApiFetcher(options, keys) {
+  return {
+    name: 'scraperapi',
+    requiredKeys: ['scraperApiKey'],
+    throttle: true,
+    // JS rendering costs 10 API credits per page instead of 1
+    creditsPerRequest: options.render ? 10 : 1,
+    async fetch(url) {
+      const proxy = `https://api.scraperapi.com?api_key=${keys.scraperApiKey}&url=${encodeURIComponent(url)}${options.render ? '&render=true' : ''}`;
+      const res = await fetch(proxy, { timeout: options.timeoutMs });
+      return readBody(res, 'ScraperAPI');
+    }
+  };
+}
+
+function createDirectFetcher(options) {
+  return {
+    name: 'direct',
+    requiredKeys: [],
+    throttle: true,
+    creditsPerRequest: 0,
+    async fetch(url) {
+      const res = await fetch(url, {
+        headers: { ...DIRECT_HEADERS, ...options.headers },
+        timeout: options.timeoutMs
+      });
+      return readBody(res, 'HTTP');
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════
+// FIXTURES (replay / record)
+// ═══════════════════════════════════════════════════════════
+// Fixtures are stored as <sha1(url)>.html with an index.json mapping file names back to URLs
+function fixtureName(url) {
+  return crypto.createHash('sha1').update(url).digest('hex').substring(0, 16) + '.html';
+}
+
+function createReplayFetcher(options) {
+  const dir = path.resolve(options.fixturesDir);
+  return {
+    name: 'replay',
+    requiredKeys: [],
+    throttle: false,
+    creditsPerRequest: 0,
+    async fetch(url) {
+      const file = path.join(dir, fixtureName(url));
+      if (!fs.existsSync(file)) {
+        throw new Error(`No fixture for ${url} (expected ${file})`);
+      }
+      return fs.readFileSync(file, 'utf8');
+    },
+    // From the record index, else the fixture file's modification time
+    fetchedAt(url) {
+      const name = fixtureName(url);
+      const recorded = readJsonFile(path.join(dir, 'index.json'), {})[name]?.recordedAt;
+      if (recorded) return recorded;
+      const file = path.join(dir, name);
+      return fs.existsSync(file) ? fs.statSync(file).mtime.toISOString() : null;
+    }
+  };
+}
+
+// Wraps a live backend and saves every successful response for later replay
+function withRecording(fetcher, options) {
+  const dir = path.resolve(options.fixturesDir);
+  const indexFile = path.join(dir, 'index.json');
+  return {
+    ...fetcher,
+    name: `${fetcher.name}+record`,
+    // Rate limits are still those of the live backend
+    upstream: fetcher.name,
+    async fetch(url) {
+      const html = await fetcher.fetch(url);
+      const name = fixtureName(url);
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, name), html);
+      const index = readJsonFile(indexFile, {});
+      index[name] = { url, recordedAt: new Date().toISOString() };
+      writeJsonFile(indexFile, index);
+      return html;
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════
+// Backend comes from FETCH_BACKEND, then the config's fetcher.backend; FETCH_RECORD=1 turns on recording
+function createFetcher(settings = {}, keys = {}, env = process.env) {
+  const options = { ...FETCHER_DEFAULTS, ...settings };
+  if (env.FETCH_BACKEND) options.backend = env.FETCH_BACKEND;
+  if (env.FETCH_RECORD) options.record = env.FETCH_RECORD === '1' || env.FETCH_RECORD === 'true';
+  if (env.FIXTURES_DIR) options.fixturesDir = env.FIXTURES_DIR;
+
+  let fetcher;
+  switch (options.backend) {
+    case 'scraperapi':
+      fetcher = createScraperApiFetcher(options, keys);
+      break;
+    case 'direct':
+      fetcher = createDirectFetcher(options);
+      break;
+    case 'replay':
+      fetcher = createReplayFetcher(options);
+      break;
+    default:
+      throw new Error(`Unknown fetch backend "${options.backend}" (expected one of ${BACKENDS.join(', ')})`);
+  }
+
+  if (options.record) {
+    if (options.backend === 'replay') throw new Error('Record mode needs a live backend, not "replay"');
+    fetcher = withRecording(fetcher, options);
+  }
+
+  return fetcher;
+}
+
+module.exports = {
+  FETCHER_DEFAULTS,
+  BACKENDS,
+  createFetcher,
+  fixtureName
+};
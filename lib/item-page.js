@@ -0,0 +1,150 @@
+// ═══════════════════════════════════════════════════════════
+// ITEM PAGE PARSER
+// ═══════════════════════════════════════════════════════════
+// Pass 2 reads the listing's own page as well as its description: item specifics, photo
+// count, returns policy, seller details and revision notes. Every field is optional -
+// whatever the current layout doesn't show is left null rather than guessed.
+const ITEM_PAGE_SELECTORS = {
+  // Modern (ux-*) layout first, then the older vi-* / itemAttr layout
+  specifics: ['.ux-layout-section-evo__item .ux-labels-values', '.ux-layout-section--features .ux-labels-values', '.x-about-this-item .ux-labels-values'],
+  specificLabel: ['.ux-labels-values__labels'],
+  specificValue: ['.ux-labels-values__values'],
+  legacySpecifics: ['.itemAttr tr', '#viTabs_0_is tr'],
+  photos: ['.ux-image-carousel-item', '.ux-image-filmstrip-carousel-item', '#vi_main_img_fs li', '.vi-image-gallery__thumb'],
+  returns: ['[data-testid="x-returns-minview"] .ux-labels-values__values', '.ux-labels-values--returns .ux-labels-values__values', '#vi-ret-accrd-txt', '.vi-ret-accrd-txt'],
+  seller: ['.x-sellercard-atf', '[data-testid="x-sellercard-atf"]', '.x-about-this-seller', '#RightSummaryPanel .si-content', '.mbg'],
+  sellerName: ['.x-sellercard-atf__info__about-seller a', '.x-sellercard-atf__info__about-seller', '.mbg-nw'],
+  revision: ['.ux-layout-section__textual-display--revisionHistory', '.vi-desc-revHistory', '#vi-desc-maincntr .vi-desc-revHistory']
+};
+
+// listingFlags flags fewer photos than FEW_PHOTOS; lib/risk.js counts sellers newer than NEW_SELLER_MONTHS
+const FEW_PHOTOS = 4;
+const NEW_SELLER_MONTHS = 12;
+const MAX_SPECIFICS = 25;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const clean = text => (text || '').trim().replace(/\s+/g, ' ');
+
+function firstText(root, selectors) {
+  for (const selector of selectors) {
+    const text = clean(root.querySelector(selector)?.textContent);
+    if (text) return text;
+  }
+  return null;
+}
+
+// { Brand: 'Maton', Model: 'EBG808', ... } from the item specifics table
+function parseSpecifics(doc) {
+  const specifics = {};
+  const add = (label, value) => {
+    label = clean(label).replace(/:$/, '');
+    value = clean(value);
+    if (label && value && !(label in specifics) && Object.keys(specifics).length < MAX_SPECIFICS) specifics[label] = value;
+  };
+
+  for (const selector of ITEM_PAGE_SELECTORS.specifics) {
+    doc.querySelectorAll(selector).forEach(row => {
+      add(firstText(row, ITEM_PAGE_SELECTORS.specificLabel), firstText(row, ITEM_PAGE_SELECTORS.specificValue));
+    });
+    if (Object.keys(specifics).length > 0) return specifics;
+  }
+
+  // Legacy tables alternate label/value cells: <td>Brand:</td><td>Maton</td><td>Model:</td>...
+  for (const selector of ITEM_PAGE_SELECTORS.legacySpecifics) {
+    doc.querySelectorAll(selector).forEach(row => {
+      const cells = [...row.querySelectorAll('td, th')];
+      for (let i = 0; i + 1 < cells.length; i += 2) add(cells[i].textContent, cells[i + 1].textContent);
+    });
+    if (Object.keys(specifics).length > 0) return specifics;
+  }
+
+  return specifics;
+}
+
+// Gallery slides, or the "Picture 1 of 12" label when the slides are lazy-loaded
+function parsePhotoCount(doc, bodyText) {
+  const labelled = bodyText.match(/(?:picture|image|photo) \d+ of (\d+)/i);
+  if (labelled) return parseInt(labelled[1]);
+  for (const selector of ITEM_PAGE_SELECTORS.photos) {
+    const count = doc.querySelectorAll(selector).length;
+    if (count > 0) return count;
+  }
+  return doc.querySelector('#icImg, .ux-image-carousel img') ? 1 : null;
+}
+
+function parseReturns(doc, bodyText) {
+  const text = firstText(doc, ITEM_PAGE_SELECTORS.returns) || bodyText.match(/(no returns accepted|seller does not accept returns|\d+ days? returns?)/i)?.[1] || null;
+  if (!text) return { returnsAccepted: null, returnsPolicy: null };
+  const refused = /no returns|does not accept returns|not accepted/i.test(text);
+  return { returnsAccepted: !refused, returnsPolicy: text.substring(0, 120) };
+}
+
+// Feedback score, positive percentage and join date from the seller card
+function parseSellerCard(doc, bodyText) {
+  const card = firstText(doc, ITEM_PAGE_SELECTORS.seller) || '';
+  const text = card || bodyText;
+  const rating = text.match(/([\d.]+)%\s*positive/i);
+  const count = card.match(/\(([\d,]+)\)/) || text.match(/([\d,]+)\s*feedback/i);
+  const since = text.match(/(?:joined|member since:?)\s*([a-z]{3,9}\.?[\s-]+(?:\d{1,2}[\s,-]+)?\d{2,4})/i);
+  return {
+    sellerName: firstText(doc, ITEM_PAGE_SELECTORS.sellerName),
+    sellerRating: rating ? `${rating[1]}%` : null,
+    sellerFeedbackCount: count ? parseInt(count[1].replace(/,/g, '')) : null,
+    sellerMemberSince: since ? clean(since[1]) : null
+  };
+}
+
+// "Last updated on 09 Mar, 2024 14:32:11 AEDT" under the description
+function parseLastUpdated(doc, bodyText) {
+  const text = firstText(doc, ITEM_PAGE_SELECTORS.revision) || bodyText;
+  const match = text.match(/[Ll]ast updated on\s+((?:\d{1,2}\s+[A-Za-z]{3},?|[A-Za-z]{3}\s+\d{1,2},)\s+\d{4}(?:\s+\d{1,2}:\d{2}(?::\d{2})?)?(?:\s+[A-Z]{2,5}\b)?)/);
+  return match ? match[1] : null;
+}
+
+// Returns the structured fields found on an item page; null values mean "not shown"
+function parseItemPage(doc) {
+  const bodyText = clean(doc.body?.textContent);
+  const seller = parseSellerCard(doc, bodyText);
+  const details = {
+    itemSpecifics: parseSpecifics(doc),
+    photoCount: parsePhotoCount(doc, bodyText),
+    ...parseReturns(doc, bodyText),
+    sellerMemberSince: seller.sellerMemberSince,
+    lastUpdated: parseLastUpdated(doc, bodyText)
+  };
+  // Only overwrite the search page's seller fields with values the item page actually has
+  ['sellerName', 'sellerRating', 'sellerFeedbackCount'].forEach(field => {
+    if (seller[field] !== null) details[field] = seller[field];
+  });
+  return details;
+}
+
+// "Mar 2015", "Mar-15-15" or "15 Mar 2015" -> months since then, or null
+function monthsSince(text, now = new Date()) {
+  if (!text) return null;
+  const month = MONTHS.indexOf(text.toLowerCase().match(/[a-z]{3}/)?.[0]);
+  const yearMatch = text.match(/(\d{4})|(\d{2})$/);
+  if (month < 0 || !yearMatch) return null;
+  const year = yearMatch[1] ? parseInt(yearMatch[1]) : 2000 + parseInt(yearMatch[2]);
+  return (now.getFullYear() - year) * 12 + (now.getMonth() - month);
+}
+
+// Short warnings for alerts and the Pass 2 prompt, e.g. ['no returns', '3 photos', 'revised 09 Mar, 2026']
+function listingFlags(item) {
+  const flags = [];
+  if (item.returnsAccepted === false) flags.push('no returns');
+  if (typeof item.photoCount === 'number' && item.photoCount < FEW_PHOTOS) {
+    flags.push(`${item.photoCount} photo${item.photoCount === 1 ? '' : 's'}`);
+  }
+  if (item.lastUpdated) flags.push(`revised ${item.lastUpdated}`);
+  return flags;
+}
+
+module.exports = {
+  FEW_PHOTOS,
+  NEW_SELLER_MONTHS,
+  parseItemPage,
+  listingFlags,
+  monthsSince
+};
@@ -0,0 +1,285 @@
+const { extractItemId, parseTimeLeft } = require('./utils');
+const { computePricing, SHIPPING_TYPES } = require('./pricing');
+
+// ═══════════════════════════════════════════════════════════
+// SEARCH RESULTS PARSER
+// ═══════════════════════════════════════════════════════════
+// Bump PARSER_VERSION whenever selectors or field semantics change, so stored
+// items and logs can be traced back to the parser that produced them.
+const PARSER_VERSION = 4;
+
+const CONTAINER_SELECTOR = 'ul.srp-results li.s-item, ul.srp-results li.s-card, li.s-item';
+
+// Confidence for a field found by its dedicated selector vs. by a text heuristic
+const CONFIDENCE = { selector: 1, heuristic: 0.6, missing: 0 };
+
+// Dedicated selectors per layout; s-card puts most details in untyped attribute rows,
+// which are classified by text in classifyCardRows() instead
+const SELECTORS = {
+  's-item': {
+    title: ['.s-item__title'],
+    link: ['a.s-item__link', 'a[href*="/itm/"]'],
+    price: ['.s-item__price'],
+    condition: ['.s-item__subtitle .SECONDARY_INFO', '.s-item__subtitle'],
+    shipping: ['.s-item__shipping', '.s-item__logisticsCost', '.s-item__freeXDays'],
+    location: ['.s-item__location', '.s-item__itemLocation'],
+    timeLeft: ['.s-item__time-left', '.s-item__timeLeft'],
+    endTime: ['.s-item__time-end'],
+    bids: ['.s-item__bids', '.s-item__bidCount'],
+    purchaseOptions: ['.s-item__purchase-options', '.s-item__purchaseOptionsWithIcon', '.s-item__formatBuyItNow', '.s-item__formatBestOfferEnabled'],
+    seller: ['.s-item__seller-info-text', '.s-item__seller-info'],
+    watchers: ['.s-item__watchCountTotal', '.s-item__hotness'],
+    sponsored: ['.s-item__sep', '.s-item__title--tagblock'],
+    image: ['.s-item__image-wrapper img', 'img[src*="ebayimg"]', 'img[data-src*="ebayimg"]']
+  },
+  's-card': {
+    title: ['.s-card__title'],
+    link: ['a.su-link[href*="/itm/"]', 'a[href*="/itm/"]'],
+    price: ['.s-card__price'],
+    condition: ['.s-card__subtitle'],
+    shipping: [],
+    location: [],
+    timeLeft: ['.s-card__time-left'],
+    endTime: ['.s-card__time-end'],
+    bids: [],
+    purchaseOptions: [],
+    seller: [],
+    watchers: [],
+    sponsored: ['.s-card__footer'],
+    image: ['img.s-card__image', 'img[src*="ebayimg"]', 'img[data-src*="ebayimg"]']
+  }
+};
+
+const TRACKED_FIELDS = ['title', 'link', 'price', 'condition', 'shipping', 'location', 'timeLeft', 'bids', 'purchaseOptions', 'seller', 'watchers', 'image'];
+const CORE_FIELDS = ['title', 'link', 'price'];
+
+const clean = text => (text || '').trim().replace(/\s+/g, ' ');
+
+function first(li, selectors) {
+  for (const selector of selectors) {
+    const el = li.querySelector(selector);
+    if (el && (el.tagName === 'IMG' || el.tagName === 'A' || clean(el.textContent))) return el;
+  }
+  return null;
+}
+
+// s-card attribute rows carry shipping, location, bids, time left, seller etc. as plain text
+function classifyCardRows(li) {
+  const found = {};
+  li.querySelectorAll('.s-card__attribute-row, .su-card-container__attributes__primary span, .su-card-container__attributes__secondary span').forEach(row => {
+    const text = clean(row.textContent);
+    if (!text) return;
+    if (!found.shipping && /postage|delivery|shipping|pick ?up|collection/i.test(text)) found.shipping = text;
+    if (!found.location && /^(from|located in|item location)/i.test(text)) found.location = text;
+    if (!found.bids && /\d+\s*bids?\b/i.test(text)) found.bids = text;
+    if (!found.timeLeft && /(\d+\s*[dhm]\s*)+left/i.test(text)) found.timeLeft = text.match(/((\d+\s*[dhm]\s*)+)left/i)[0];
+    if (!found.purchaseOptions && /best offer|buy it now/i.test(text)) found.purchaseOptions = text;
+    if (!found.seller && /\d+(\.\d+)?%\s*positive|\(\d[\d,.]*K?\)/i.test(text)) found.seller = text;
+    if (!found.watchers && /\d+\s*watch/i.test(text)) found.watchers = text;
+  });
+  return found;
+}
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// "(Sat, 08:52 PM)", "(Today 20:52)" or "(Tomorrow 9:05 AM)" -> epoch ms of the first such
+// time after now (when the page was fetched), read in this machine's time zone
+function parseEndTime(text, now) {
+  const match = (text || '').match(/\b(today|tomorrow|sun|mon|tue|wed|thu|fri|sat)\w*,?\s+(\d{1,2}):(\d{2})\s*([ap]m)?/i);
+  if (!match) return null;
+  const [, day, hourText, minutes, meridiem] = match;
+  let hours = parseInt(hourText) % (meridiem ? 12 : 24);
+  if (/pm/i.test(meridiem || '')) hours += 12;
+
+  const end = new Date(now);
+  end.setHours(hours, parseInt(minutes), 0, 0);
+  const dayName = day.toLowerCase();
+  if (dayName === 'tomorrow') end.setDate(end.getDate() + 1);
+  else if (dayName !== 'today') end.setDate(end.getDate() + (WEEKDAYS.indexOf(dayName.slice(0, 3)) - end.getDay() + 7) % 7);
+  // Today's weekday with a time already past means next week
+  if (dayName !== 'today' && end.getTime() < now) end.setDate(end.getDate() + 7);
+  return end.getTime();
+}
+
+// "johnsmith (1,234) 99.8%" or "johnsmith 99.8% positive (1.2K)"
+function parseSeller(text) {
+  const result = { sellerName: 'N/A', sellerFeedbackCount: null, sellerRating: 'N/A' };
+  if (!text) return result;
+
+  const rating = text.match(/([\d.]+)%/);
+  if (rating) result.sellerRating = rating[1] + '%';
+
+  const count = text.match(/\(([\d,.]+)(K)?\)/i);
+  if (count) {
+    const value = parseFloat(count[1].replace(/,/g, ''));
+    result.sellerFeedbackCount = Math.round(count[2] ? value * 1000 : value);
+  }
+
+  const name = text.replace(/^seller(?::\s*|\s+)/i, '').match(/^([^\s(]+)\s*(\(|[\d.]+%)/);
+  if (name && /[a-z]/i.test(name[1])) result.sellerName = name[1];
+
+  return result;
+}
+
+function parseContainer(li, now, pricingOptions) {
+  const layout = li.classList.contains('s-card') ? 's-card' : 's-item';
+  const selectors = SELECTORS[layout];
+  const cardRows = layout === 's-card' ? classifyCardRows(li) : {};
+  const confidence = {};
+
+  // Returns the field text, recording how it was found
+  const text = field => {
+    const el = first(li, selectors[field] || []);
+    if (el) {
+      confidence[field] = CONFIDENCE.selector;
+      return clean(el.textContent);
+    }
+    if (cardRows[field]) {
+      confidence[field] = CONFIDENCE.heuristic;
+      return cardRows[field];
+    }
+    confidence[field] = CONFIDENCE.missing;
+    return null;
+  };
+
+  const title = (text('title') || 'N/A').replace(/^New listing\s*/i, '');
+  const price = text('price') || 'N/A';
+
+  const linkEl = first(li, selectors.link);
+  const link = linkEl ? linkEl.href : '#';
+  confidence.link = linkEl ? CONFIDENCE.selector : CONFIDENCE.missing;
+
+  const imgEl = first(li, selectors.image);
+  let img = imgEl ? (imgEl.getAttribute('src') || imgEl.getAttribute('data-src') || '') : '';
+  if (!/ebayimg/.test(img)) img = imgEl?.getAttribute('data-src') || '';
+  if (img) img = img.replace(/\/s-l\d+/, '/s-l500').split('?')[0];
+  confidence.image = img ? CONFIDENCE.selector : CONFIDENCE.missing;
+
+  const timeLeft = text('timeLeft') || 'N/A';
+  const bidsText = text('bids');
+  const bidMatch = bidsText?.match(/(\d+)\s*bids?/i);
+  const bidCount = bidMatch ? parseInt(bidMatch[1]) : 0;
+  const isAuction = timeLeft !== 'N/A' || !!bidMatch;
+
+  // The printed end time is exact to the minute but its time zone is a guess, so it is only
+  // used when it agrees with the coarser "time left" to within an hour
+  const minsLeft = parseTimeLeft(timeLeft);
+  const endTimeText = text('endTime');
+  const estimated = minsLeft !== null ? now + minsLeft * 60000 : null;
+  const printed = parseEndTime(endTimeText, now);
+  const end = printed !== null && (estimated === null || Math.abs(printed - estimated) <= 60 * 60000) ? printed : estimated;
+  const endTime = end !== null ? new Date(end).toISOString() : null;
+
+  const optionsText = text('purchaseOptions') || '';
+  const bestOffer = /best offer/i.test(optionsText);
+  const buyItNow = /buy it now/i.test(optionsText) || (!isAuction && price !== 'N/A');
+
+  const seller = parseSeller(text('seller'));
+  const shipping = text('shipping') || 'N/A';
+  const pricing = computePricing(price, shipping, pricingOptions);
+
+  const watchersMatch = (text('watchers') || '').match(/([\d,]+)\+?\s*watch/i);
+  const watchers = watchersMatch ? parseInt(watchersMatch[1].replace(/,/g, '')) : 0;
+
+  const sponsoredEl = first(li, selectors.sponsored);
+  const sponsored = !!sponsoredEl && /sponsored/i.test(sponsoredEl.textContent.replace(/\s+/g, ''))
+    || !!li.querySelector('[aria-label="Sponsored"], [data-testid="sponsored"]');
+
+  return {
+    itemId: extractItemId(link) || link.split('?')[0],
+    title,
+    price,
+    condition: text('condition') || 'N/A',
+    shipping,
+    pricing,
+    fulfilment: pricing.shippingType === SHIPPING_TYPES.PICKUP ? 'pickup' : 'shipped',
+    distance: text('location') || 'N/A',
+    link,
+    img,
+    timeLeft,
+    endTime,
+    endTimeText,
+    bidCount,
+    isAuction,
+    buyItNow,
+    bestOffer,
+    sellerName: seller.sellerName,
+    sellerFeedbackCount: seller.sellerFeedbackCount,
+    sellerRating: seller.sellerRating,
+    watchers,
+    sponsored,
+    layout,
+    parserVersion: PARSER_VERSION,
+    confidence,
+    description: '',
+    aiScore: 0,
+    aiReasoning: ''
+  };
+}
+
+// ═══════════════════════════════════════════════════════════
+// HIT-RATE STATS
+// ═══════════════════════════════════════════════════════════
+function emptyStats() {
+  return { containers: 0, layouts: {}, hits: {} };
+}
+
+function mergeParserStats(a, b) {
+  const merged = { containers: a.containers + b.containers, layouts: { ...a.layouts }, hits: { ...a.hits } };
+  Object.entries(b.layouts).forEach(([k, v]) => { merged.layouts[k] = (merged.layouts[k] || 0) + v; });
+  Object.entries(b.hits).forEach(([k, v]) => { merged.hits[k] = (merged.hits[k] || 0) + v; });
+  return merged;
+}
+
+// Returns { summary, warnings } - warnings list core fields found on fewer than 80% of containers
+function formatHitRates(stats) {
+  if (stats.containers === 0) return { summary: 'no containers', warnings: [] };
+  const rate = field => Math.round(((stats.hits[field] || 0) / stats.containers) * 100);
+  const layouts = Object.entries(stats.layouts).map(([k, v]) => `${k} ${v}`).join(', ');
+  const summary = `(${layouts}) ` + TRACKED_FIELDS.map(field => `${field} ${rate(field)}%`).join(', ');
+  const warnings = CORE_FIELDS.filter(field => rate(field) < 80).map(field => `${field} found on only ${rate(field)}% of containers`);
+  return { summary, warnings };
+}
+
+// ═══════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════
+// Returns { items, stats }; placeholder cards ("Shop on eBay") and cards without
+// a title, price or item link are dropped but still count towards hit rates.
+// options.pricing is passed to computePricing() (marketplace number format, currency rate).
+function parseSearchResults(doc, options = {}) {
+  const now = options.now || Date.now();
+  const containers = doc.querySelectorAll(CONTAINER_SELECTOR);
+  const stats = emptyStats();
+  const items = [];
+
+  containers.forEach(li => {
+    const item = parseContainer(li, now, options.pricing);
+    stats.containers++;
+    stats.layouts[item.layout] = (stats.layouts[item.layout] || 0) + 1;
+    TRACKED_FIELDS.forEach(field => {
+      if (item.confidence[field] > 0) stats.hits[field] = (stats.hits[field] || 0) + 1;
+    });
+
+    if (item.title === 'N/A' ||
+        item.price === 'N/A' ||
+        !item.link.includes('itm/') ||
+        item.title.toLowerCase().includes('shop on ebay')) {
+      return;
+    }
+
+    items.push(item);
+  });
+
+  return { items, stats };
+}
+
+module.exports = {
+  PARSER_VERSION,
+  SELECTORS,
+  parseSearchResults,
+  parseSeller,
+  emptyStats,
+  mergeParserStats,
+  formatHitRates
+};
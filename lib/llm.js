@@ -0,0 +1,193 @@
+const fetch = require('node-fetch');
+const fs = require('fs');
+const { responseError } = require('./rate-limiter');
+const { failureType } = require('./run-log');
+
+// ═══════════════════════════════════════════════════════════
+// LLM PROVIDERS
+// ═══════════════════════════════════════════════════════════
+// Every provider exposes { name, type, model, requiredEnv, complete(prompt, overrides, limiter) -> text }.
+// Types: gemini, openai (any OpenAI-compatible chat completions endpoint, e.g. llama.cpp
+// or Ollama's /v1) and stub (canned responses for offline runs).
+const PROVIDER_DEFAULTS = {
+  temperature: 0.2,
+  maxTokens: 8000,
+  retries: 3,
+  backoffMs: 3000,
+  timeoutMs: 60000
+};
+
+const TYPE_DEFAULTS = {
+  gemini: {
+    model: 'gemini-3-flash-preview',
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    apiKeyEnv: 'GEMINI_API_KEY'
+  },
+  openai: {
+    model: 'gpt-4o-mini',
+    baseUrl: 'https://api.openai.com/v1',
+    apiKeyEnv: null
+  },
+  stub: {
+    model: 'stub',
+    retries: 1
+  }
+};
+
+// Used when the config has no "llm" section - matches the scanner's original Gemini setup
+const LLM_DEFAULTS = {
+  default: 'gemini',
+  providers: {
+    gemini: { type: 'gemini' }
+  }
+};
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function requestGemini(options, apiKey, prompt) {
+  const response = await fetch(
+    `${options.baseUrl}/models/${options.model}:generateContent?key=${apiKey}`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        contents: [{ parts: [{ text: prompt }] }],
+        generationConfig: {
+          temperature: options.temperature,
+          maxOutputTokens: options.maxTokens,
+        }
+      }),
+      timeout: options.timeoutMs
+    }
+  );
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw responseError(`Gemini API ${response.status}: ${error.error?.message || 'Unknown error'}`, response);
+  }
+
+  const data = await response.json();
+  const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+  if (!text) throw new Error('No response from Gemini');
+  return text;
+}
+
+async function requestOpenAI(options, apiKey, prompt) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  const response = await fetch(`${options.baseUrl.replace(/\/$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model: options.model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: options.temperature,
+      max_tokens: options.maxTokens
+    }),
+    timeout: options.timeoutMs
+  });
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw responseError(`${options.name} API ${response.status}: ${error.error?.message || 'Unknown error'}`, response);
+  }
+
+  const data = await response.json();
+  const text = data.choices?.[0]?.message?.content;
+  if (!text) throw new Error(`No response from ${options.name}`);
+  return text;
+}
+
+// Canned responses come from "responses" or a JSON array in "responsesFile", served in rotation.
+// With neither, an empty ranking is returned so the rule scorer takes over.
+function createStubResponder(options) {
+  let responses = options.responses;
+  if (!responses && options.responsesFile) {
+    responses = JSON.parse(fs.readFileSync(options.responsesFile, 'utf8'));
+  }
+  responses = (responses || ['{"rankings": []}']).map(r => (typeof r === 'string' ? r : JSON.stringify(r)));
+  let next = 0;
+  return async () => responses[next++ % responses.length];
+}
+
+function createProvider(name, config, env, log) {
+  const type = config.type;
+  if (!TYPE_DEFAULTS[type]) {
+    throw new Error(`LLM provider "${name}": unknown type "${type}" (expected one of ${Object.keys(TYPE_DEFAULTS).join(', ')})`);
+  }
+
+  const options = { ...PROVIDER_DEFAULTS, ...TYPE_DEFAULTS[type], ...config, name };
+  const requiredEnv = options.apiKeyEnv ? [options.apiKeyEnv] : [];
+  const request = type === 'gemini' ? requestGemini : type === 'openai' ? requestOpenAI : null;
+  const stub = type === 'stub' ? createStubResponder(options) : null;
+
+  return {
+    name,
+    type,
+    model: options.model,
+    requiredEnv,
+    // limiter (optional) is this provider's RateLimiter; each attempt waits for it and
+    // rate-limit errors pause it for Retry-After
+    async complete(prompt, overrides = {}, limiter = null) {
+      const callOptions = { ...options };
+      Object.entries(overrides).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) callOptions[key] = value;
+      });
+      const apiKey = options.apiKeyEnv ? env[options.apiKeyEnv] : null;
+
+      for (let i = 0; i < callOptions.retries; i++) {
+        const attempt = () => (stub ? stub(prompt) : request(callOptions, apiKey, prompt));
+        try {
+          return await (limiter ? limiter.run(attempt) : attempt());
+        } catch (error) {
+          log(`  ${name} attempt ${i + 1}/${callOptions.retries} failed: ${error.message}`, {
+            stage: 'llm',
+            provider: name,
+            metric: i < callOptions.retries - 1 ? 'llmRetries' : null,
+            failure: failureType(error)
+          });
+          if (i === callOptions.retries - 1) throw error;
+          if (limiter) await limiter.backoff(error, i, callOptions.backoffMs);
+          else await delay(callOptions.backoffMs * (i + 1));
+        }
+      }
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════
+// Builds every configured provider up front so config mistakes surface in validateConfig()
+// log(message, fields) also gets structured fields for the run log (see run-log.js)
+function createLlmRegistry(settings, env = process.env, log = message => console.log(message)) {
+  const llm = settings || LLM_DEFAULTS;
+  const providerConfigs = llm.providers || {};
+  const providers = new Map();
+
+  Object.entries(providerConfigs).forEach(([name, config]) => {
+    if (!config || typeof config !== 'object') {
+      throw new Error(`LLM provider "${name}" must be an object`);
+    }
+    providers.set(name, createProvider(name, config, env, log));
+  });
+
+  const defaultName = llm.default || providers.keys().next().value;
+  if (!providers.has(defaultName)) {
+    throw new Error(`Default LLM provider "${defaultName}" is not configured`);
+  }
+
+  return {
+    defaultName,
+    has: name => providers.has(name),
+    get: name => providers.get(name || defaultName),
+    names: () => [...providers.keys()]
+  };
+}
+
+module.exports = {
+  PROVIDER_DEFAULTS,
+  LLM_DEFAULTS,
+  createLlmRegistry
+};
@@ -0,0 +1,83 @@
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./state');
+
+// ═══════════════════════════════════════════════════════════
+// MARKET VALUE FROM SOLD LISTINGS
+// ═══════════════════════════════════════════════════════════
+const MARKET_VALUE_DEFAULTS = {
+  cachePath: 'state/market-values.json',
+  maxAgeDays: 7,
+  minSamples: 5
+};
+
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  const pos = (sorted.length - 1) * q;
+  const lower = Math.floor(pos);
+  const upper = Math.ceil(pos);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
+
+// Median/IQR of sold prices after dropping Tukey outliers (1.5 × IQR beyond the quartiles),
+// which removes parts-only sales and mis-categorised bundles at either end
+function computeMarketStats(prices) {
+  const all = prices.filter(p => Number.isFinite(p) && p > 0).sort((a, b) => a - b);
+  if (all.length === 0) return null;
+
+  const q1 = quantile(all, 0.25);
+  const q3 = quantile(all, 0.75);
+  const fence = (q3 - q1) * 1.5;
+  const kept = all.filter(p => p >= q1 - fence && p <= q3 + fence);
+
+  const round = n => Math.round(n * 100) / 100;
+  return {
+    median: round(quantile(kept, 0.5)),
+    q1: round(quantile(kept, 0.25)),
+    q3: round(quantile(kept, 0.75)),
+    iqr: round(quantile(kept, 0.75) - quantile(kept, 0.25)),
+    mean: round(kept.reduce((sum, p) => sum + p, 0) / kept.length),
+    min: kept[0],
+    max: kept[kept.length - 1],
+    sampleSize: kept.length,
+    outliersRemoved: all.length - kept.length
+  };
+}
+
+// ═══════════════════════════════════════════════════════════
+// CACHE
+// ═══════════════════════════════════════════════════════════
+class MarketValueCache {
+  constructor(options = {}) {
+    this.options = { ...MARKET_VALUE_DEFAULTS, ...options };
+    this.file = path.resolve(this.options.cachePath);
+    this.entries = null;
+  }
+
+  load() {
+    if (!this.entries) this.entries = readJsonFile(this.file, {});
+    return this;
+  }
+
+  // Entries are keyed by the sold-listings URL, so searches for one term with different
+  // filters (excluded keywords, category, conditions, marketplace) don't share stats.
+  // Returns cached stats if they are fresh enough, otherwise null
+  get(soldUrl, maxAgeDays = this.options.maxAgeDays) {
+    const entry = this.load().entries[soldUrl];
+    if (!entry) return null;
+    const ageMs = Date.now() - Date.parse(entry.fetchedAt);
+    return ageMs <= maxAgeDays * 24 * 60 * 60 * 1000 ? entry : null;
+  }
+
+  set(soldUrl, term, stats) {
+    const entry = { term, fetchedAt: new Date().toISOString(), stats };
+    this.load().entries[soldUrl] = entry;
+    writeJsonFile(this.file, this.entries);
+    return entry;
+  }
+}
+
+module.exports = {
+  MARKET_VALUE_DEFAULTS,
+  computeMarketStats,
+  MarketValueCache
+};
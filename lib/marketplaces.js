@@ -0,0 +1,100 @@
+// ═══════════════════════════════════════════════════════════
+// MARKETPLACES
+// ═══════════════════════════════════════════════════════════
+// Each eBay site has its own domain, currency, number format and postcode shape.
+// Searches pick one with "marketplace"; prices are converted to the base currency
+// (settings.currency) so listings from different sites can be compared directly.
+const MARKETPLACES = {
+  'ebay.com.au': {
+    domain: 'www.ebay.com.au',
+    country: 'Australia',
+    currency: 'AUD',
+    format: { decimal: '.', thousands: ',', rangeWord: /\bto\b/i },
+    postcodePattern: /^\d{4}$/
+  },
+  'ebay.com': {
+    domain: 'www.ebay.com',
+    country: 'United States',
+    currency: 'USD',
+    format: { decimal: '.', thousands: ',', rangeWord: /\bto\b/i },
+    postcodePattern: /^\d{5}$/
+  },
+  'ebay.co.uk': {
+    domain: 'www.ebay.co.uk',
+    country: 'United Kingdom',
+    currency: 'GBP',
+    format: { decimal: '.', thousands: ',', rangeWord: /\bto\b/i },
+    postcodePattern: /^[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}$/i
+  },
+  'ebay.de': {
+    domain: 'www.ebay.de',
+    country: 'Germany',
+    currency: 'EUR',
+    format: { decimal: ',', thousands: '.', rangeWord: /\bbis\b/i },
+    postcodePattern: /^\d{5}$/
+  }
+};
+
+const DEFAULT_MARKETPLACE = 'ebay.com.au';
+
+// rates: how many units of the base currency one unit of each currency buys
+const CURRENCY_DEFAULTS = {
+  base: 'AUD',
+  rates: {}
+};
+
+function getMarketplace(id) {
+  return MARKETPLACES[id || DEFAULT_MARKETPLACE];
+}
+
+// An empty postcode searches the whole marketplace instead of a radius around it
+function buildLocationParams(searchConfig) {
+  if (!searchConfig.postcode) return [];
+  return [
+    `_sadis=${searchConfig.distance}`,
+    `_stpos=${encodeURIComponent(searchConfig.postcode)}`,
+    '_fspt=1',
+    'LH_PrefLoc=99'
+  ];
+}
+
+function createCurrencyConverter(settings = {}) {
+  const options = { ...CURRENCY_DEFAULTS, ...settings };
+  const rateFor = currency => (currency === options.base ? 1 : options.rates?.[currency] ?? null);
+  return {
+    base: options.base,
+    rateFor,
+    toBase: (amount, currency) => {
+      const rate = rateFor(currency);
+      return amount === null || rate === null ? null : amount * rate;
+    }
+  };
+}
+
+// Cross-field checks for a search's marketplace, postcode and currency rate
+function validateMarketplaceSearch(search, currencySettings) {
+  const errors = [];
+  const marketplace = MARKETPLACES[search.marketplace || DEFAULT_MARKETPLACE];
+  if (!marketplace) return errors; // unknown ids are reported by the schema enum
+
+  if (search.postcode && !marketplace.postcodePattern.test(search.postcode)) {
+    errors.push(`postcode "${search.postcode}" is not valid for ${search.marketplace || DEFAULT_MARKETPLACE} (use "" to search the whole site)`);
+  }
+
+  const converter = createCurrencyConverter(currencySettings);
+  if (converter.rateFor(marketplace.currency) === null) {
+    errors.push(`no currency rate for ${marketplace.currency} -> ${converter.base} (add it under currency.rates)`);
+  }
+
+  return errors;
+}
+
+module.exports = {
+  MARKETPLACES,
+  DEFAULT_MARKETPLACE,
+  CURRENCY_DEFAULTS,
+  getMarketplace,
+  buildLocationParams,
+  createCurrencyConverter,
+  validateMarketplaceSearch
+};
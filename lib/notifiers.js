@@ -0,0 +1,309 @@
+const fetch = require('node-fetch');
+const fs = require('fs');
+const path = require('path');
+
+// ═══════════════════════════════════════════════════════════
+// NOTIFICATION CHANNELS
+// ═══════════════════════════════════════════════════════════
+// Every channel exposes { name, type, requiredEnv, recipientEnv, send(deals, context) }, where
+// deals are the flat payloads built by sendNotifications() and context is the alert's { tier, recipients }.
+// Types: appsScript (the original Google Apps Script email), smtp, slack, discord, ntfy, gotify,
+// webhook (generic JSON POST) and file (JSON lines on disk, for local testing).
+//
+// Secrets can be given inline ("url") or by env var name ("urlEnv"); the env var wins
+// only when the inline value is missing.
+const CHANNEL_DEFAULTS = {
+  retries: 3,
+  backoffMs: 2000,
+  timeoutMs: 30000
+};
+
+const TYPE_DEFAULTS = {
+  appsScript: { urlEnv: 'GOOGLE_SCRIPT_URL', recipientEnv: 'RECIPIENT_EMAIL', required: ['url', 'recipient'], recipientKey: 'recipient' },
+  smtp: { hostEnv: 'SMTP_HOST', port: 587, secure: false, userEnv: 'SMTP_USER', passEnv: 'SMTP_PASS', toEnv: 'RECIPIENT_EMAIL', required: ['host', 'to'], recipientKey: 'to' },
+  slack: { urlEnv: 'SLACK_WEBHOOK_URL', required: ['url'] },
+  discord: { urlEnv: 'DISCORD_WEBHOOK_URL', required: ['url'] },
+  ntfy: { server: 'https://ntfy.sh', topicEnv: 'NTFY_TOPIC', tokenEnv: null, required: ['topic'] },
+  gotify: { urlEnv: 'GOTIFY_URL', tokenEnv: 'GOTIFY_TOKEN', required: ['url', 'token'] },
+  webhook: { urlEnv: 'WEBHOOK_URL', method: 'POST', headers: {}, required: ['url'] },
+  file: { path: 'notifications/alerts.jsonl', retries: 1, required: [] }
+};
+
+// Used when the config has no "notify" section - matches the scanner's original email setup
+const NOTIFY_DEFAULTS = {
+  channels: {
+    email: { type: 'appsScript' }
+  }
+};
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ═══════════════════════════════════════════════════════════
+// MESSAGE FORMATTING
+// ═══════════════════════════════════════════════════════════
+const RISK_ICONS = { low: '🟢', medium: '🟠', high: '🔴' };
+
+// Risk sits next to the score; deals queued before risk existed have none
+function dealHeadline(deal) {
+  const risk = deal.riskLevel ? ` · ${RISK_ICONS[deal.riskLevel]} ${deal.riskLevel} risk` : '';
+  return `${deal.isUrgent ? '⏰ URGENT ' : ''}🦄 ${deal.aiScore}/100${risk} - ${deal.title}`;
+}
+
+// Plain-text lines shared by the chat and push channels
+function dealLines(deal) {
+  const lines = [`${deal.landedPrice}${deal.discount > 0 ? ` (${deal.discount}% below expected)` : ''}`];
+  if (deal.alertTag && deal.alertTag !== 'new') {
+    lines.push(deal.previousPrice ? `${deal.alertTag} (was ${deal.currency} ${deal.previousPrice})` : deal.alertTag);
+  }
+  if (deal.isAuction) lines.push(`Auction: ${deal.bidCount} bid(s), ${deal.timeLeft} left`);
+  lines.push(`${deal.condition} · ${deal.location} · ${deal.searchName}${deal.alsoMatched?.length ? ` (also ${deal.alsoMatched.join(', ')})` : ''}`);
+  if (deal.relistNote) lines.push(`🔁 ${deal.relistNote}`);
+  if (deal.duplicateIds?.length) lines.push(`Also listed as ${deal.duplicateIds.join(', ')}`);
+  const specifics = Object.entries(deal.itemSpecifics || {}).slice(0, 6);
+  if (specifics.length > 0) lines.push(specifics.map(([label, value]) => `${label}: ${value}`).join(' · '));
+  if (deal.flags?.length) lines.push(`⚠️ ${deal.flags.join(' · ')}`);
+  if (deal.riskReasons?.length) lines.push(`🚩 ${deal.riskReasons.join(' · ')}`);
+  if (deal.aiReasoning) lines.push(deal.aiReasoning);
+  return lines;
+}
+
+const escapeHtml = text => String(text ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+function dealsToHtml(deals) {
+  const blocks = deals.map(deal => `
+    <div style="border:1px solid #ddd;border-radius:6px;padding:12px;margin-bottom:12px;font-family:sans-serif">
+      ${deal.img ? `<img src="${escapeHtml(deal.img)}" style="max-width:200px;float:right;margin-left:12px">` : ''}
+      <h3 style="margin:0 0 8px"><a href="${escapeHtml(deal.link)}">${escapeHtml(dealHeadline(deal))}</a></h3>
+      ${dealLines(deal).map(line => `<p style="margin:4px 0">${escapeHtml(line)}</p>`).join('')}
+      ${deal.feedbackLinks ? `<p style="margin:8px 0 0"><a href="${escapeHtml(deal.feedbackLinks.good)}">👍 Good deal</a> · <a href="${escapeHtml(deal.feedbackLinks.bad)}">👎 Not a deal</a></p>` : ''}
+      <div style="clear:both"></div>
+    </div>`);
+  return `<h2 style="font-family:sans-serif">${deals.length} eBay deal(s)</h2>${blocks.join('')}`;
+}
+
+// Single-item alerts use the deal itself as the subject
+function subjectFor(deals, context = {}) {
+  if (deals.length === 1) return dealHeadline(deals[0]);
+  const urgent = deals.filter(deal => deal.isUrgent).length;
+  const label = context.tier === 'digest' ? 'eBay deal digest' : 'eBay deal(s)';
+  return `🦄 ${deals.length} ${label}${urgent ? ` - ${urgent} urgent` : ''}`;
+}
+
+// ═══════════════════════════════════════════════════════════
+// SENDERS
+// ═══════════════════════════════════════════════════════════
+// Each sender gets (deals, options, value, context) where value(key) resolves inline/env settings
+
+async function postJson(url, body, options, extraHeaders = {}) {
+  const response = await fetch(url, {
+    method: options.method || 'POST',
+    headers: { 'Content-Type': 'application/json', ...extraHeaders },
+    body: JSON.stringify(body),
+    timeout: options.timeoutMs
+  });
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw new Error(`HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+  }
+  return response;
+}
+
+async function sendAppsScript(deals, options, value, context) {
+  const recipientEmail = context.recipients ? context.recipients.join(',') : value('recipient');
+  const response = await postJson(value('url'), { deals, recipientEmail, subject: subjectFor(deals, context), tier: context.tier }, options);
+  const result = await response.json();
+  if (!result.success) throw new Error(result.error || 'Unknown error');
+}
+
+async function sendSmtp(deals, options, value, context) {
+  const nodemailer = require('nodemailer');
+  const user = value('user');
+  const transport = nodemailer.createTransport({
+    host: value('host'),
+    port: options.port,
+    secure: options.secure,
+    auth: user ? { user, pass: value('pass') } : undefined,
+    connectionTimeout: options.timeoutMs
+  });
+  await transport.sendMail({
+    from: value('from') || user,
+    to: context.recipients ? context.recipients.join(', ') : value('to'),
+    subject: subjectFor(deals, context),
+    text: deals.map(deal => [dealHeadline(deal), ...dealLines(deal), deal.link].join('\n')).join('\n\n'),
+    html: dealsToHtml(deals)
+  });
+}
+
+async function sendSlack(deals, options, value, context) {
+  const text = deals
+    .map(deal => [`*<${deal.link}|${dealHeadline(deal)}>*`, ...dealLines(deal)].join('\n'))
+    .join('\n\n');
+  await postJson(value('url'), { text: deals.length === 1 ? text : `${subjectFor(deals, context)}\n\n${text}` }, options);
+}
+
+// Discord allows 10 embeds per message. Senders that post in several parts count them in
+// progress.sent, so a retry resumes at the part that failed instead of resending the rest
+async function sendDiscord(deals, options, value, context, progress) {
+  for (let i = progress.sent * 10; i < deals.length; i += 10) {
+    const embeds = deals.slice(i, i + 10).map(deal => ({
+      title: dealHeadline(deal).slice(0, 256),
+      url: deal.link,
+      description: dealLines(deal).join('\n').slice(0, 4096),
+      thumbnail: deal.img ? { url: deal.img } : undefined,
+      color: deal.isUrgent ? 0xe53935 : 0x7e57c2
+    }));
+    await postJson(value('url'), { content: i === 0 && deals.length > 1 ? subjectFor(deals, context) : undefined, embeds }, options);
+    progress.sent++;
+  }
+}
+
+// Push channels send one notification per deal so each can be tapped through
+async function sendNtfy(deals, options, value, context, progress) {
+  const token = value('token');
+  for (const deal of deals.slice(progress.sent)) {
+    const headers = {
+      Title: dealHeadline(deal).replace(/[^\x20-\x7e]/g, '').replace(/\s+/g, ' ').trim(),
+      Click: deal.link,
+      Priority: deal.isUrgent ? '5' : '3',
+      Tags: deal.isUrgent ? 'rotating_light' : 'unicorn'
+    };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const response = await fetch(`${options.server.replace(/\/$/, '')}/${value('topic')}`, {
+      method: 'POST',
+      headers,
+      body: dealLines(deal).join('\n'),
+      timeout: options.timeoutMs
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    progress.sent++;
+  }
+}
+
+async function sendGotify(deals, options, value, context, progress) {
+  for (const deal of deals.slice(progress.sent)) {
+    await postJson(`${value('url').replace(/\/$/, '')}/message`, {
+      title: dealHeadline(deal),
+      message: [...dealLines(deal), `[View on eBay](${deal.link})`].join('\n\n'),
+      priority: deal.isUrgent ? 8 : 5,
+      extras: {
+        'client::display': { contentType: 'text/markdown' },
+        'client::notification': { click: { url: deal.link } }
+      }
+    }, options, { 'X-Gotify-Key': value('token') });
+    progress.sent++;
+  }
+}
+
+async function sendWebhook(deals, options, value, context) {
+  await postJson(value('url'), { sentAt: new Date().toISOString(), tier: context.tier, count: deals.length, deals }, options, options.headers);
+}
+
+async function sendFile(deals, options, value, context) {
+  fs.mkdirSync(path.dirname(options.path), { recursive: true });
+  fs.appendFileSync(options.path, JSON.stringify({ sentAt: new Date().toISOString(), channel: options.name, ...context, deals }) + '\n');
+}
+
+const SENDERS = {
+  appsScript: sendAppsScript,
+  smtp: sendSmtp,
+  slack: sendSlack,
+  discord: sendDiscord,
+  ntfy: sendNtfy,
+  gotify: sendGotify,
+  webhook: sendWebhook,
+  file: sendFile
+};
+
+function createChannel(name, config, env, log) {
+  const type = config.type;
+  if (!SENDERS[type]) {
+    throw new Error(`Notify channel "${name}": unknown type "${type}" (expected one of ${Object.keys(SENDERS).join(', ')})`);
+  }
+
+  const options = { ...CHANNEL_DEFAULTS, ...TYPE_DEFAULTS[type], ...config, name };
+  const value = key => options[key] ?? (options[`${key}Env`] ? env[options[`${key}Env`]] : undefined) ?? null;
+
+  // The default recipient is only needed by searches without recipients of their own
+  const requiredEnv = [];
+  const recipientEnv = [];
+  options.required.filter(key => options[key] === undefined).forEach(key => {
+    if (!options[`${key}Env`]) throw new Error(`Notify channel "${name}": "${key}" is required`);
+    (key === options.recipientKey ? recipientEnv : requiredEnv).push(options[`${key}Env`]);
+  });
+
+  return {
+    name,
+    type,
+    enabled: options.enabled !== false,
+    requiredEnv,
+    recipientEnv,
+    async send(deals, context = {}) {
+      const progress = { sent: 0 };
+      for (let i = 0; i < options.retries; i++) {
+        try {
+          return await SENDERS[type](deals, options, value, context, progress);
+        } catch (error) {
+          log(`  ${name} attempt ${i + 1}/${options.retries} failed: ${error.message}`);
+          if (i === options.retries - 1) throw error;
+          await delay(options.backoffMs * (i + 1));
+        }
+      }
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════
+// Builds every configured channel up front so config mistakes surface in validateConfig()
+function createNotifierRegistry(settings, env = process.env, log = console.log) {
+  const notify = settings || NOTIFY_DEFAULTS;
+  const channels = new Map();
+
+  Object.entries(notify.channels || {}).forEach(([name, config]) => {
+    if (!config || typeof config !== 'object') {
+      throw new Error(`Notify channel "${name}" must be an object`);
+    }
+    channels.set(name, createChannel(name, config, env, log));
+  });
+
+  if (channels.size === 0) {
+    throw new Error('notify.channels must configure at least one channel');
+  }
+
+  // "enabled: false" only leaves a channel out of the default set; searches can still route to it
+  const enabled = () => [...channels.values()].filter(channel => channel.enabled);
+  const resolve = names => (names ? names.map(name => channels.get(name)) : enabled());
+
+  return {
+    has: name => channels.has(name),
+    get: name => channels.get(name),
+    names: () => enabled().map(channel => channel.name),
+    // Env vars for the enabled channels plus extraNames; recipientNames are the channels some
+    // search sends to without its own recipients, so their default recipient is needed too
+    requiredEnv: (extraNames = [], recipientNames = []) => [...new Set([
+      ...[...enabled(), ...resolve(extraNames)].flatMap(channel => channel.requiredEnv),
+      ...resolve(recipientNames).flatMap(channel => channel.recipientEnv)
+    ])],
+
+    // Sends to the route's channels (default: every enabled channel) in parallel; one failing
+    // channel doesn't stop the others. Returns { sent: [names], failed: [{ name, error }] }
+    async notify(deals, { channels: names = null, recipients = null, tier = null } = {}) {
+      const targets = resolve(names);
+      const results = await Promise.allSettled(targets.map(channel => channel.send(deals, { tier, recipients })));
+      const sent = [];
+      const failed = [];
+      results.forEach((result, i) => {
+        if (result.status === 'fulfilled') sent.push(targets[i].name);
+        else failed.push({ name: targets[i].name, error: result.reason });
+      });
+      return { sent, failed };
+    }
+  };
+}
+
+module.exports = {
+  CHANNEL_DEFAULTS,
+  NOTIFY_DEFAULTS,
+  createNotifierRegistry
+};
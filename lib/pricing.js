@@ -0,0 +1,142 @@
+// ═══════════════════════════════════════════════════════════
+// PRICE & SHIPPING PARSING
+// ═══════════════════════════════════════════════════════════
+// Turns eBay's free-text price and postage strings into numbers and a total landed
+// cost, so ranking, discounts and price filters all compare like with like.
+// Amounts are parsed in the listing's number format and converted to the base currency.
+const SHIPPING_TYPES = {
+  FREE: 'free',
+  PICKUP: 'pickup',
+  PAID: 'paid',
+  IMPORT_ESTIMATE: 'import estimate',
+  UNKNOWN: 'unknown'
+};
+
+// ebay.com.au conventions, used when no marketplace format is given
+const DEFAULT_FORMAT = { decimal: '.', thousands: ',', rangeWord: /\bto\b/i };
+
+const CURRENCY_PREFIXES = {
+  AUD: 'AU $',
+  USD: 'US $',
+  GBP: '£',
+  EUR: 'EUR '
+};
+
+const escapeRegex = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Parses the first number in text using the given decimal/thousands separators
+function parseAmount(text, format = DEFAULT_FORMAT) {
+  const match = (text || '').match(/\d[\d.,']*\d|\d/);
+  if (!match) return null;
+  const normalised = match[0]
+    .replace(/'/g, '')
+    .replace(new RegExp(escapeRegex(format.thousands), 'g'), '')
+    .replace(format.decimal, '.');
+  const value = parseFloat(normalised);
+  return Number.isFinite(value) ? value : null;
+}
+
+// "AU $1,234.50" -> { value: 1234.5 }, "AU $90.00 to AU $120.00" -> { value: 90, max: 120, isRange }
+function parsePrice(priceStr, format = DEFAULT_FORMAT) {
+  if (!priceStr || priceStr === 'N/A') return null;
+
+  const parts = priceStr.split(format.rangeWord);
+  if (parts.length >= 2) {
+    const low = parseAmount(parts[0], format);
+    const high = parseAmount(parts[1], format);
+    if (low !== null && high !== null) {
+      return { value: Math.min(low, high), max: Math.max(low, high), isRange: true };
+    }
+  }
+
+  const value = parseAmount(priceStr, format);
+  return value === null ? null : { value, max: value, isRange: false };
+}
+
+// Returns the (lower) price as a number - for callers that only need one figure
+function extractPrice(priceStr, format = DEFAULT_FORMAT) {
+  return parsePrice(priceStr, format)?.value ?? null;
+}
+
+// "Free postage" / "Pick up only" / "+AU $45.00 postage" / "Postage not specified",
+// plus the ebay.com and ebay.de equivalents ("Free local pickup", "Nur Abholung", "Kostenloser Versand")
+function parseShipping(shippingStr, format = DEFAULT_FORMAT) {
+  const text = (shippingStr || '').trim();
+  if (!text || text === 'N/A' || /not specified|see description|calculate|may not (post|ship)|does not (post|ship)|nicht angegeben/i.test(text)) {
+    return { type: SHIPPING_TYPES.UNKNOWN, cost: null };
+  }
+  if (/pick ?up only|local pick ?up|collection only|collection in person|pick-up|abholung/i.test(text)) {
+    return { type: SHIPPING_TYPES.PICKUP, cost: 0 };
+  }
+  if (/free|kostenlos/i.test(text)) {
+    return { type: SHIPPING_TYPES.FREE, cost: 0 };
+  }
+
+  const cost = parseAmount(text, format);
+  if (cost !== null) {
+    return { type: SHIPPING_TYPES.PAID, cost };
+  }
+  return { type: SHIPPING_TYPES.UNKNOWN, cost: null };
+}
+
+// Landed cost = price + shipping, in the base currency. Options:
+//   format          number format of the listing's marketplace
+//   currency, rate  listing currency and its rate to the base currency (default AUD, 1)
+//   importShipping  base-currency estimate used when a foreign listing doesn't show postage
+// Unknown shipping counts as 0 but is flagged so it can be shown as "+ postage".
+function computePricing(priceStr, shippingStr, options = {}) {
+  const { format = DEFAULT_FORMAT, currency = 'AUD', rate = 1, importShipping = null } = options;
+  const price = parsePrice(priceStr, format);
+  let shipping = parseShipping(shippingStr, format);
+  const round = n => Math.round(n * 100) / 100;
+
+  let shippingCost = shipping.cost === null ? null : round(shipping.cost * rate);
+  if (shipping.type === SHIPPING_TYPES.UNKNOWN && importShipping !== null) {
+    shipping = { type: SHIPPING_TYPES.IMPORT_ESTIMATE };
+    shippingCost = importShipping;
+  }
+
+  if (!price) {
+    return { price: null, priceMax: null, isRange: false, currency, originalPrice: null, shippingType: shipping.type, shippingCost, landed: null, landedMax: null };
+  }
+
+  return {
+    price: round(price.value * rate),
+    priceMax: round(price.max * rate),
+    isRange: price.isRange,
+    currency,
+    originalPrice: price.value,
+    shippingType: shipping.type,
+    shippingCost,
+    landed: round((price.value * rate) + (shippingCost ?? 0)),
+    landedMax: round((price.max * rate) + (shippingCost ?? 0))
+  };
+}
+
+function formatMoney(amount, currency = 'AUD') {
+  const prefix = CURRENCY_PREFIXES[currency] || `${currency} `;
+  return `${prefix}${amount.toLocaleString('en-AU', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+// Landed price in the base currency, e.g. "AU $1,153.60 (from GBP 520.00) incl. est. import postage"
+function formatLanded(pricing, baseCurrency = 'AUD') {
+  if (!pricing || pricing.landed === null) return 'N/A';
+  const money = n => formatMoney(n, baseCurrency);
+  let amount = pricing.isRange ? `${money(pricing.landed)} to ${money(pricing.landedMax)}` : money(pricing.landed);
+  if (pricing.currency && pricing.currency !== baseCurrency) amount += ` (from ${pricing.currency} ${pricing.originalPrice.toFixed(2)})`;
+  if (pricing.shippingType === SHIPPING_TYPES.UNKNOWN) return `${amount} + postage`;
+  if (pricing.shippingType === SHIPPING_TYPES.PICKUP) return `${amount} (pickup only)`;
+  if (pricing.shippingType === SHIPPING_TYPES.IMPORT_ESTIMATE) return `${amount} incl. est. import postage`;
+  return amount;
+}
+
+module.exports = {
+  SHIPPING_TYPES,
+  parseAmount,
+  parsePrice,
+  extractPrice,
+  parseShipping,
+  computePricing,
+  formatMoney,
+  formatLanded
+};
@@ -0,0 +1,121 @@
+// ═══════════════════════════════════════════════════════════
+// RANKING RESPONSE PARSING
+// ═══════════════════════════════════════════════════════════
+// LLM ranking responses are expected as { "rankings": [{ id, rank, score, reasoning }] }.
+// Models wrap them in ``` fences or get cut off at the token limit, so parsing first
+// tries the whole document and then falls back to salvaging every complete object.
+
+function stripFences(text) {
+  return text.trim().replace(/```(?:json)?\s*/gi, '').trim();
+}
+
+// Returns the source of every complete {...} object inside the "rankings" array,
+// ignoring a trailing object that was truncated mid-way
+function extractCompleteObjects(text) {
+  const keyPos = text.indexOf('"rankings"');
+  const arrayStart = text.indexOf('[', keyPos === -1 ? 0 : keyPos);
+  if (arrayStart === -1) return [];
+
+  const objects = [];
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let objectStart = -1;
+
+  for (let i = arrayStart + 1; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === '{') {
+      if (depth === 0) objectStart = i;
+      depth++;
+    } else if (ch === '}') {
+      depth--;
+      if (depth === 0 && objectStart !== -1) {
+        objects.push(text.slice(objectStart, i + 1));
+        objectStart = -1;
+      }
+    } else if (ch === ']' && depth === 0) {
+      break;
+    }
+  }
+
+  return objects;
+}
+
+function repairRankings(text) {
+  const rankings = [];
+  extractCompleteObjects(text).forEach(source => {
+    try {
+      rankings.push(JSON.parse(source));
+    } catch (error) {
+      // Skip objects that are still malformed after extraction
+    }
+  });
+  return rankings;
+}
+
+// Drops entries with out-of-range ids, non-numeric or out-of-range scores and duplicate ids
+function validateRankings(rankings, itemCount) {
+  const valid = [];
+  const errors = [];
+  const seen = new Set();
+
+  rankings.forEach((ranking, i) => {
+    const id = typeof ranking?.id === 'string' ? Number(ranking.id) : ranking?.id;
+    const score = typeof ranking?.score === 'string' ? Number(ranking.score) : ranking?.score;
+
+    if (!Number.isInteger(id) || id < 0 || id >= itemCount) {
+      errors.push(`entry ${i}: id ${JSON.stringify(ranking?.id)} out of range 0-${itemCount - 1}`);
+    } else if (!Number.isFinite(score) || score < 0 || score > 100) {
+      errors.push(`entry ${i}: score ${JSON.stringify(ranking?.score)} not between 0 and 100`);
+    } else if (seen.has(id)) {
+      errors.push(`entry ${i}: duplicate id ${id}`);
+    } else {
+      seen.add(id);
+      valid.push({
+        id,
+        rank: ranking.rank,
+        score: Math.round(score),
+        reasoning: typeof ranking.reasoning === 'string' ? ranking.reasoning : ''
+      });
+    }
+  });
+
+  return { valid, errors };
+}
+
+// Returns { rankings, errors, repaired } - rankings only contains schema-valid entries
+function parseRankingResponse(text, itemCount) {
+  const cleaned = stripFences(text || '');
+  let rankings = null;
+  let repaired = false;
+
+  try {
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+    const parsed = JSON.parse(start === -1 ? cleaned : cleaned.slice(start, end + 1));
+    rankings = Array.isArray(parsed) ? parsed : parsed.rankings;
+  } catch (error) {
+    rankings = repairRankings(cleaned);
+    repaired = true;
+  }
+
+  if (!Array.isArray(rankings)) {
+    return { rankings: [], errors: ['response has no "rankings" array'], repaired };
+  }
+
+  const { valid, errors } = validateRankings(rankings, itemCount);
+  return { rankings: valid, errors, repaired };
+}
+
+module.exports = {
+  parseRankingResponse,
+  validateRankings,
+  repairRankings
+};
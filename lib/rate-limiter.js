@@ -0,0 +1,286 @@
+// ═══════════════════════════════════════════════════════════
+// RATE LIMITING
+// ═══════════════════════════════════════════════════════════
+// One token-bucket limiter per upstream (fetch backend or LLM provider), shared by every
+// search and description fetch so they can run in parallel without going over the
+// upstream's rate or concurrency limits. A 429 (or any response with Retry-After) pauses
+// the whole upstream, not just the request that got it.
+const UPSTREAM_DEFAULTS = {
+  requestsPerMinute: 12,
+  burst: 1,
+  concurrency: 2,
+  backoffMs: 5000
+};
+
+const RATE_LIMIT_DEFAULTS = {
+  searchConcurrency: 1,
+  descriptionConcurrency: 2,
+  maxRetryAfterSeconds: 300,
+  // Per kind of upstream; "upstreams" overrides them by fetch backend or LLM provider name
+  fetch: { ...UPSTREAM_DEFAULTS },
+  llm: { requestsPerMinute: 15, burst: 2, concurrency: 2, backoffMs: 3000 },
+  upstreams: {}
+};
+
+// Replay fixtures and stub LLMs don't touch the network
+const UNLIMITED = { requestsPerMinute: 0, burst: 1, concurrency: Infinity, backoffMs: 0 };
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(header, now = Date.now()) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isFinite(date) ? Math.max(0, date - now) : null;
+}
+
+// Error for a non-2xx response, carrying the status and any Retry-After for backoff()
+function responseError(message, res) {
+  const error = new Error(message);
+  error.status = res.status;
+  error.retryAfterMs = parseRetryAfter(res.headers?.get('retry-after'));
+  return error;
+}
+
+function isRateLimited(error) {
+  return error.status === 429 || (error.retryAfterMs ?? null) !== null;
+}
+
+class RateLimiter {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = { ...UPSTREAM_DEFAULTS, maxRetryAfterSeconds: RATE_LIMIT_DEFAULTS.maxRetryAfterSeconds, ...options };
+    this.tokens = this.options.burst;
+    this.refilledAt = Date.now();
+    this.active = 0;
+    this.waiting = [];
+    this.pausedUntil = 0;
+    this.timer = null;
+  }
+
+  get unlimited() {
+    return !this.options.requestsPerMinute;
+  }
+
+  refill(now) {
+    if (this.unlimited) return;
+    const elapsed = now - this.refilledAt;
+    this.tokens = Math.min(this.options.burst, this.tokens + (elapsed * this.options.requestsPerMinute) / 60000);
+    this.refilledAt = now;
+  }
+
+  // Starts waiting tasks in order while there's a free slot, a token and no 429 pause
+  pump() {
+    if (this.timer) return;
+    while (this.waiting.length > 0 && this.active < this.options.concurrency) {
+      const now = Date.now();
+      this.refill(now);
+      let waitMs = Math.max(0, this.pausedUntil - now);
+      if (!waitMs && !this.unlimited && this.tokens < 1) {
+        waitMs = Math.ceil(((1 - this.tokens) * 60000) / this.options.requestsPerMinute);
+      }
+      if (waitMs > 0) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.pump();
+        }, waitMs);
+        return;
+      }
+      if (!this.unlimited) this.tokens -= 1;
+      this.active++;
+      this.waiting.shift()();
+    }
+  }
+
+  async run(task) {
+    await new Promise(resolve => {
+      this.waiting.push(resolve);
+      this.pump();
+    });
+    try {
+      return await task();
+    } finally {
+      this.active--;
+      this.pump();
+    }
+  }
+
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  // Waits before retrying attempt (0-based). Rate-limit responses pause the whole upstream for
+  // Retry-After (capped), which the next run() waits out; other errors back off exponentially.
+  // Returns the wait in ms.
+  async backoff(error, attempt, baseMs = this.options.backoffMs) {
+    const exponentialMs = baseMs * 2 ** attempt;
+    if (isRateLimited(error)) {
+      const waitMs = Math.min(error.retryAfterMs ?? exponentialMs, this.options.maxRetryAfterSeconds * 1000);
+      this.pause(waitMs);
+      return waitMs;
+    }
+    await delay(exponentialMs);
+    return exponentialMs;
+  }
+}
+
+// Builds limiters lazily and keeps one per upstream for the life of the process
+function createRateLimiters(settings = {}) {
+  const options = { ...RATE_LIMIT_DEFAULTS, ...settings };
+  const limiters = new Map();
+
+  return {
+    options,
+    // kind: "fetch" or "llm"; name: fetch backend or LLM provider; throttle false skips rate limits
+    get(kind, name, throttle = true) {
+      const key = `${kind}:${name}`;
+      if (!limiters.has(key)) {
+        const upstream = throttle
+          ? { ...RATE_LIMIT_DEFAULTS[kind], ...options[kind], ...options.upstreams?.[name] }
+          : UNLIMITED;
+        limiters.set(key, new RateLimiter(name, { ...upstream, maxRetryAfterSeconds: options.maxRetryAfterSeconds }));
+      }
+      return limiters.get(key);
+    }
+  };
+}
+
+// Runs worker(item, index) over items with at most concurrency in flight; results keep input order
+async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from({ length: Math.min(Math.max(1, concurrency), items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+function validateRateLimitSettings(rateLimits = {}) {
+  const errors = [];
+  const check = (label, upstream) => {
+    if (!upstream || typeof upstream !== 'object' || Array.isArray(upstream)) {
+      errors.push(`rateLimits: ${label} must be an object`);
+      return;
+    }
+    const { requestsPerMinute, burst, concurrency, backoffMs } = upstream;
+    if (requestsPerMinute !== undefined && !(typeof requestsPerMinute === 'number' && requestsPerMinute >= 0)) {
+      errors.push(`rateLimits: ${label}.requestsPerMinute must be a number >= 0 (0 = no limit)`);
+    }
+    if (burst !== undefined && !(Number.isInteger(burst) && burst >= 1)) {
+      errors.push(`rateLimits: ${label}.burst must be an integer >= 1`);
+    }
+    if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency >= 1)) {
+      errors.push(`rateLimits: ${label}.concurrency must be an integer >= 1`);
+    }
+    if (backoffMs !== undefined && !(typeof backoffMs === 'number' && backoffMs >= 0)) {
+      errors.push(`rateLimits: ${label}.backoffMs must be a number >= 0`);
+    }
+  };
+
+  ['fetch', 'llm'].filter(kind => rateLimits[kind] !== undefined).forEach(kind => check(kind, rateLimits[kind]));
+  Object.entries(rateLimits.upstreams || {}).forEach(([name, upstream]) => check(`upstreams.${name}`, upstream));
+  return errors;
+}
+
+// ═══════════════════════════════════════════════════════════
+// PER-RUN BUDGET
+// ═══════════════════════════════════════════════════════════
+// Caps the ScraperAPI requests and LLM tokens one run may use (0 = no cap). Once either
+// drops below lowPercent, the scanner drops lower-priority work (extra result pages,
+// Pass 2 for items within lowScoreMargin of the unicorn threshold); once used up,
+// further requests of that kind fail.
+const BUDGET_DEFAULTS = {
+  maxScraperRequests: 0,
+  maxLlmTokens: 0,
+  lowPercent: 20,
+  lowScoreMargin: 15
+};
+
+const BUDGET_STATE = {
+  OK: 'ok',
+  LOW: 'low',
+  EXHAUSTED: 'exhausted'
+};
+
+const BUDGET_KINDS = {
+  requests: { option: 'maxScraperRequests', label: 'ScraperAPI request' },
+  tokens: { option: 'maxLlmTokens', label: 'LLM token' }
+};
+
+// Roughly 4 characters per token
+const estimateTokens = text => Math.round((text || '').length / 4);
+
+class RunBudget {
+  constructor(options = {}) {
+    this.options = { ...BUDGET_DEFAULTS, ...options };
+    this.reset();
+  }
+
+  reset() {
+    this.used = { requests: 0, tokens: 0 };
+  }
+
+  get limited() {
+    return Object.values(BUDGET_KINDS).some(({ option }) => this.options[option] > 0);
+  }
+
+  limit(kind) {
+    return this.options[BUDGET_KINDS[kind].option];
+  }
+
+  // Fraction left, 1 when the kind has no cap
+  remaining(kind) {
+    const limit = this.limit(kind);
+    return limit > 0 ? Math.max(0, 1 - this.used[kind] / limit) : 1;
+  }
+
+  // Throws when the kind is used up, so callers can stop before spending more
+  ensure(kind) {
+    if (this.remaining(kind) <= 0) {
+      throw new Error(`${BUDGET_KINDS[kind].label} budget (${this.limit(kind).toLocaleString()}) used up for this run`);
+    }
+  }
+
+  spend(kind, amount) {
+    this.used[kind] += amount;
+  }
+
+  state() {
+    const lowest = Math.min(...Object.keys(BUDGET_KINDS).map(kind => this.remaining(kind)));
+    if (lowest <= 0) return BUDGET_STATE.EXHAUSTED;
+    return lowest * 100 < this.options.lowPercent ? BUDGET_STATE.LOW : BUDGET_STATE.OK;
+  }
+
+  // e.g. "ScraperAPI requests 12/50, LLM tokens 40,210/100,000"
+  summary() {
+    return Object.entries(BUDGET_KINDS)
+      .filter(([kind]) => this.limit(kind) > 0)
+      .map(([kind, { label }]) => `${label}s ${this.used[kind].toLocaleString()}/${this.limit(kind).toLocaleString()}`)
+      .join(', ');
+  }
+
+  toJSON() {
+    return { ...this.used, state: this.state() };
+  }
+}
+
+module.exports = {
+  RATE_LIMIT_DEFAULTS,
+  BUDGET_DEFAULTS,
+  BUDGET_STATE,
+  RateLimiter,
+  RunBudget,
+  createRateLimiters,
+  mapWithConcurrency,
+  parseRetryAfter,
+  responseError,
+  isRateLimited,
+  estimateTokens,
+  validateRateLimitSettings
+};
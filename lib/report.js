@@ -0,0 +1,338 @@
+const fs = require('fs');
+const path = require('path');
+const { minutesLeft } = require('./utils');
+const { formatLanded } = require('./pricing');
+const { listingFlags } = require('./item-page');
+
+// ═══════════════════════════════════════════════════════════
+// RUN REPORTS
+// ═══════════════════════════════════════════════════════════
+// Every run writes report-<time>.json and a self-contained report-<time>.html listing all
+// ranked items per search (Pass 1 and Pass 2 scores), not just the unicorns that were sent.
+// index.html links every report still in the directory; the oldest beyond "keep" are removed.
+const REPORT_DEFAULTS = {
+  enabled: true,
+  dir: 'reports',
+  keep: 30,
+  // Characters of each rescored item's description shown next to its Pass 2 score
+  descriptionChars: 400
+};
+
+const REPORT_VERSION = 1;
+
+function excerpt(text, maxChars) {
+  const flat = (text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > maxChars ? `${flat.slice(0, maxChars).trimEnd()}…` : flat;
+}
+
+// Scores are copied at each pass because items are re-scored in place
+function snapshotItem(item, baseCurrency) {
+  return {
+    itemId: item.itemId,
+    title: item.title,
+    link: item.link,
+    img: item.img,
+    price: item.price,
+    landed: item.pricing.landed,
+    landedPrice: formatLanded(item.pricing, baseCurrency),
+    shipping: item.shipping,
+    fulfilment: item.fulfilment,
+    condition: item.condition,
+    location: item.distance,
+    isAuction: item.isAuction,
+    bidCount: item.bidCount,
+    timeLeft: item.timeLeft,
+    minsLeft: minutesLeft(item),
+    sellerName: item.sellerName,
+    sellerRating: item.sellerRating,
+    riskLevel: item.risk?.level || null,
+    riskReasons: item.risk?.reasons || [],
+    pass1Score: item.aiScore,
+    pass1Reasoning: item.aiReasoning,
+    ruleScore: item.ruleScore ?? null,
+    modelScore: item.modelScore ?? null,
+    pass2Score: null,
+    pass2Reasoning: null,
+    descriptionExcerpt: null,
+    unicorn: false,
+    blocked: false
+  };
+}
+
+class SearchReport {
+  constructor(searchConfig, baseCurrency, descriptionChars = REPORT_DEFAULTS.descriptionChars) {
+    this.baseCurrency = baseCurrency;
+    this.descriptionChars = descriptionChars;
+    this.data = {
+      name: searchConfig.name,
+      term: searchConfig.term,
+      marketplace: searchConfig.marketplace || null,
+      scoringMode: searchConfig.scoringMode,
+      unicornThreshold: searchConfig.unicornThreshold,
+      expectedPrice: searchConfig.expectedPrice ?? null,
+      marketStats: searchConfig.marketStats || null,
+      extracted: 0,
+      filtered: {},
+      hitRates: null,
+      error: null,
+      items: []
+    };
+    this.byId = new Map();
+  }
+
+  recordExtraction(count, hitRates) {
+    this.data.extracted = count;
+    this.data.hitRates = hitRates;
+  }
+
+  recordFilters(dropped) {
+    this.data.filtered = { ...dropped };
+  }
+
+  recordPass1(items) {
+    this.data.items = items.map(item => snapshotItem(item, this.baseCurrency));
+    this.data.items.forEach(entry => this.byId.set(entry.itemId, entry));
+  }
+
+  recordPass2(items) {
+    items.forEach(item => {
+      const entry = this.byId.get(item.itemId);
+      if (!entry) return;
+      entry.pass2Score = item.aiScore;
+      entry.pass2Reasoning = item.aiReasoning;
+      // What the rescore was based on
+      entry.descriptionExcerpt = item.description ? excerpt(item.description, this.descriptionChars) : null;
+      entry.flags = listingFlags(item);
+      entry.riskLevel = item.risk?.level || null;
+      entry.riskReasons = item.risk?.reasons || [];
+    });
+  }
+
+  // Unicorns held back by the search's riskBlockLevel
+  recordBlocked(items) {
+    items.forEach(item => {
+      const entry = this.byId.get(item.itemId);
+      if (entry) entry.blocked = true;
+    });
+  }
+
+  recordUnicorns(items) {
+    items.forEach(item => {
+      const entry = this.byId.get(item.itemId);
+      if (entry) entry.unicorn = true;
+    });
+  }
+
+  fail(error) {
+    this.data.error = error.message;
+  }
+}
+
+class RunReport {
+  constructor(options = {}, baseCurrency = 'AUD') {
+    this.options = { ...REPORT_DEFAULTS, ...options };
+    this.dir = path.resolve(this.options.dir);
+    this.baseCurrency = baseCurrency;
+    this.startedAt = new Date();
+    this.searches = [];
+  }
+
+  startSearch(searchConfig) {
+    const search = new SearchReport(searchConfig, this.baseCurrency, this.options.descriptionChars);
+    this.searches.push(search);
+    return search;
+  }
+
+  toJSON(summary = {}) {
+    return {
+      version: REPORT_VERSION,
+      startedAt: this.startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      currency: this.baseCurrency,
+      summary,
+      searches: this.searches.map(search => search.data)
+    };
+  }
+
+  // Writes the JSON + HTML pair, prunes old reports and rebuilds the index. Returns the HTML path.
+  write(summary) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const base = `report-${this.startedAt.toISOString().replace(/[:.]/g, '-')}`;
+    const data = this.toJSON(summary);
+    fs.writeFileSync(path.join(this.dir, `${base}.json`), JSON.stringify(data, null, 2));
+    fs.writeFileSync(path.join(this.dir, `${base}.html`), renderReport(data));
+    pruneReports(this.dir, this.options.keep);
+    fs.writeFileSync(path.join(this.dir, 'index.html'), renderIndex(this.dir));
+    return path.join(this.dir, `${base}.html`);
+  }
+}
+
+function listReports(dir) {
+  return fs.readdirSync(dir).filter(file => /^report-.*\.json$/.test(file)).sort().reverse();
+}
+
+function pruneReports(dir, keep) {
+  listReports(dir).slice(keep).forEach(file => {
+    fs.rmSync(path.join(dir, file), { force: true });
+    fs.rmSync(path.join(dir, file.replace(/\.json$/, '.html')), { force: true });
+  });
+}
+
+// ═══════════════════════════════════════════════════════════
+// HTML RENDERING
+// ═══════════════════════════════════════════════════════════
+const escapeHtml = text => String(text ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+// Embedded JSON must not be able to close the <script> tag
+const embedJson = data => JSON.stringify(data).replace(/</g, '\\u003c');
+
+const STYLE = `
+  body { font-family: system-ui, sans-serif; margin: 0 auto; padding: 16px; max-width: 1200px; color: #222; }
+  h1 { margin-bottom: 4px; } .muted { color: #777; font-size: 0.9em; }
+  .controls { position: sticky; top: 0; background: #fff; padding: 8px 0; border-bottom: 1px solid #ddd; display: flex; gap: 12px; flex-wrap: wrap; align-items: center; }
+  .search { margin-top: 24px; } .search h2 { margin-bottom: 4px; } .error { color: #c62828; }
+  table { border-collapse: collapse; width: 100%; margin-top: 8px; font-size: 0.9em; }
+  th, td { border-bottom: 1px solid #eee; padding: 6px; text-align: left; vertical-align: top; }
+  td img { width: 80px; height: 80px; object-fit: cover; border-radius: 4px; }
+  tr.unicorn { background: #f3e5f5; } .score { font-weight: bold; font-size: 1.1em; }
+  .reason { color: #555; font-size: 0.85em; max-width: 420px; }
+  .reason.risk-medium { color: #e65100; } .reason.risk-high { color: #c62828; }
+  .reason.before { color: #888; } details.reason { margin-top: 4px; } details.reason summary { cursor: pointer; }
+  a { color: #1565c0; }
+`;
+
+// Client-side filtering and sorting over the embedded data
+const SCRIPT = `
+  const data = JSON.parse(document.getElementById('report-data').textContent);
+  const $ = id => document.getElementById(id);
+  const esc = s => String(s ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+  const finalScore = item => item.pass2Score ?? item.pass1Score;
+  const sorters = {
+    score: (a, b) => finalScore(b) - finalScore(a),
+    pass1: (a, b) => b.pass1Score - a.pass1Score,
+    price: (a, b) => (a.landed ?? Infinity) - (b.landed ?? Infinity),
+    ending: (a, b) => (a.minsLeft ?? Infinity) - (b.minsLeft ?? Infinity)
+  };
+  // Rescored items show the reason before and after, plus the description the rescore read
+  const pass2Cell = i => {
+    const change = i.pass2Score - i.pass1Score;
+    return '<span class="score">' + esc(i.pass2Score) + '</span> <span class="muted">(' + (change === 0 ? 'same as Pass 1' : (change > 0 ? '+' : '') + change + ' from Pass 1') + ')</span>' +
+      '<div class="reason">After: ' + esc(i.pass2Reasoning) + '</div>' +
+      '<div class="reason before">Before: ' + esc(i.pass1Reasoning) + '</div>' +
+      (i.flags && i.flags.length ? '<div class="reason">⚠️ ' + esc(i.flags.join(' · ')) + '</div>' : '') +
+      (i.descriptionExcerpt ? '<details class="reason"><summary>Description</summary>' + esc(i.descriptionExcerpt) + '</details>' : '');
+  };
+  data.searches.forEach(s => $('search').insertAdjacentHTML('beforeend', '<option>' + esc(s.name) + '</option>'));
+
+  function render() {
+    const text = $('text').value.toLowerCase();
+    const minScore = Number($('min-score').value) || 0;
+    const onlySearch = $('search').value;
+    const unicornsOnly = $('unicorns').checked;
+    const auctionsOnly = $('auctions').checked;
+    const html = data.searches.filter(s => !onlySearch || s.name === onlySearch).map(s => {
+      const items = s.items
+        .filter(i => finalScore(i) >= minScore && (!unicornsOnly || i.unicorn) && (!auctionsOnly || i.isAuction))
+        .filter(i => !text || (i.title + ' ' + i.condition + ' ' + i.location).toLowerCase().includes(text))
+        .sort(sorters[$('sort').value]);
+      const filtered = Object.entries(s.filtered).map(([r, n]) => n + ' ' + r).join(', ');
+      const rows = items.map(i => '<tr class="' + (i.unicorn ? 'unicorn' : '') + '">' +
+        '<td>' + (i.img ? '<img loading="lazy" src="' + esc(i.img) + '">' : '') + '</td>' +
+        '<td><a href="' + esc(i.link) + '" target="_blank" rel="noopener">' + esc(i.title) + '</a>' + (i.unicorn ? ' 🦄' : '') + (i.blocked ? ' 🚫 blocked' : '') +
+          '<div class="muted">' + esc(i.condition) + ' · ' + esc(i.location) + ' · ' + esc(i.sellerName) + ' ' + esc(i.sellerRating) + '</div>' +
+          (i.riskLevel && i.riskLevel !== 'low' ? '<div class="reason risk-' + esc(i.riskLevel) + '">🚩 ' + esc(i.riskLevel) + ' risk: ' + esc(i.riskReasons.join(' · ')) + '</div>' : '') + '</td>' +
+        '<td>' + esc(i.landedPrice) + '<div class="muted">' + esc(i.price) + ' + ' + esc(i.shipping) + '</div></td>' +
+        '<td>' + (i.isAuction ? esc(i.bidCount) + ' bid(s)<div class="muted">' + esc(i.timeLeft) + ' left</div>' : 'Buy It Now') + '</td>' +
+        '<td><span class="score">' + esc(i.pass1Score) + '</span>' +
+          (i.ruleScore !== null && i.modelScore !== null ? '<div class="muted">rules ' + esc(i.ruleScore) + ' / model ' + esc(i.modelScore) + '</div>' : '') +
+          '<div class="reason">' + esc(i.pass1Reasoning) + '</div></td>' +
+        '<td>' + (i.pass2Score !== null ? pass2Cell(i) : '<span class="muted">-</span>') + '</td>' +
+        '</tr>').join('');
+      return '<section class="search"><h2>' + esc(s.name) + ' <span class="muted">(' + esc(s.term) + ')</span></h2>' +
+        '<div class="muted">' + s.extracted + ' extracted, ' + s.items.length + ' ranked (' + esc(s.scoringMode) + '), unicorn threshold ' + s.unicornThreshold +
+          (s.expectedPrice ? ', expected ' + data.currency + ' ' + s.expectedPrice : '') + (filtered ? ' · filtered: ' + esc(filtered) : '') + '</div>' +
+        (s.error ? '<p class="error">Search failed: ' + esc(s.error) + '</p>' : '') +
+        (items.length ? '<table><thead><tr><th></th><th>Item</th><th>Landed</th><th>Format</th><th>Pass 1</th><th>Pass 2</th></tr></thead><tbody>' + rows + '</tbody></table>'
+          : '<p class="muted">No items match.</p>') +
+        '</section>';
+    }).join('');
+    $('results').innerHTML = html;
+  }
+  document.querySelectorAll('.controls input, .controls select').forEach(el => el.addEventListener('input', render));
+  render();
+`;
+
+function renderReport(data) {
+  const { summary = {} } = data;
+  const started = new Date(data.startedAt).toLocaleString('en-AU', { timeZone: 'Australia/Adelaide' });
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>eBay Deal Monitor - ${escapeHtml(started)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>eBay Deal Monitor</h1>
+<div class="muted">${escapeHtml(started)} · ${summary.successful ?? '?'}/${data.searches.length} searches OK · ${summary.unicorns ?? 0} unicorn(s) · ${summary.alerts ?? 0} alert(s) · <a href="index.html">all reports</a></div>
+<div class="controls">
+  <input id="text" type="search" placeholder="Filter text">
+  <label>Min score <input id="min-score" type="number" min="0" max="100" value="0" style="width:4em"></label>
+  <select id="search"><option value="">All searches</option></select>
+  <label>Sort <select id="sort">
+    <option value="score">Final score</option>
+    <option value="pass1">Pass 1 score</option>
+    <option value="price">Landed price</option>
+    <option value="ending">Ending soonest</option>
+  </select></label>
+  <label><input id="unicorns" type="checkbox"> Unicorns only</label>
+  <label><input id="auctions" type="checkbox"> Auctions only</label>
+</div>
+<div id="results"></div>
+<script type="application/json" id="report-data">${embedJson(data)}</script>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+function renderIndex(dir) {
+  const rows = listReports(dir).map(file => {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (error) {
+      return '';
+    }
+    const started = new Date(data.startedAt).toLocaleString('en-AU', { timeZone: 'Australia/Adelaide' });
+    const items = data.searches.reduce((sum, search) => sum + search.items.length, 0);
+    const failed = data.searches.filter(search => search.error).length;
+    return `<tr><td><a href="${escapeHtml(file.replace(/\.json$/, '.html'))}">${escapeHtml(started)}</a></td>` +
+      `<td>${data.searches.length}${failed ? ` (${failed} failed)` : ''}</td><td>${items}</td>` +
+      `<td>${data.summary?.unicorns ?? 0}</td><td>${data.summary?.alerts ?? 0}</td>` +
+      `<td><a href="${escapeHtml(file)}">json</a></td></tr>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>eBay Deal Monitor - reports</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>eBay Deal Monitor reports</h1>
+<table>
+<thead><tr><th>Run (Adelaide time)</th><th>Searches</th><th>Ranked items</th><th>Unicorns</th><th>Alerts</th><th></th></tr></thead>
+<tbody>${rows.join('\n')}</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  REPORT_DEFAULTS,
+  RunReport
+};
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./state');
+
+// ═══════════════════════════════════════════════════════════
+// RESPONSE CACHE
+// ═══════════════════════════════════════════════════════════
+// Local cache for fetched pages, item descriptions and LLM responses, so repeated runs
+// don't spend ScraperAPI credits or LLM tokens on content that hasn't changed.
+// One JSON file per entry under <dir>/<kind>/<sha1(key)>.json, holding what the response
+// cost to get (ScraperAPI credits, LLM tokens) so hits can be totalled. Expiry is checked on read
+// with the TTL for that kind, and prune() deletes entries once that TTL has passed.
+const CACHE_DEFAULTS = {
+  enabled: true,
+  dir: 'state/cache',
+  searchPageTtlMinutes: 30,
+  itemPageTtlHours: 24,
+  descriptionTtlHours: 168,
+  llmTtlHours: 168
+};
+
+const KINDS = {
+  SEARCH_PAGE: 'search-page',
+  ITEM_PAGE: 'item-page',
+  DESCRIPTION: 'description',
+  LLM: 'llm'
+};
+
+const hash = text => crypto.createHash('sha1').update(text).digest('hex');
+
+// Search and sold-listing pages change quickly; item pages and description iframes don't
+function pageKind(url) {
+  return /\/sch\//.test(url) ? KINDS.SEARCH_PAGE : KINDS.ITEM_PAGE;
+}
+
+// Changes to any of these mean the seller may have edited the listing, so the cached description is dropped.
+// Auction prices and bids move on their own, so they don't invalidate the description.
+function descriptionKey(item) {
+  const parts = [item.title, item.condition, item.isAuction ? 'auction' : item.price];
+  return `${item.itemId}:${hash(parts.join('|'))}`;
+}
+
+class ResponseCache {
+  constructor(options = {}) {
+    this.options = { ...CACHE_DEFAULTS, ...options };
+    this.dir = path.resolve(this.options.dir);
+    this.ttlMs = {
+      [KINDS.SEARCH_PAGE]: this.options.searchPageTtlMinutes * 60 * 1000,
+      [KINDS.ITEM_PAGE]: this.options.itemPageTtlHours * 60 * 60 * 1000,
+      [KINDS.DESCRIPTION]: this.options.descriptionTtlHours * 60 * 60 * 1000,
+      [KINDS.LLM]: this.options.llmTtlHours * 60 * 60 * 1000
+    };
+    this.resetStats();
+  }
+
+  get enabled() {
+    return this.options.enabled;
+  }
+
+  resetStats() {
+    this.stats = {};
+    Object.values(KINDS).forEach(kind => {
+      this.stats[kind] = { hits: 0, misses: 0, savedCredits: 0, savedTokens: 0 };
+    });
+  }
+
+  file(kind, key) {
+    return path.join(this.dir, kind, `${hash(key)}.json`);
+  }
+
+  // Returns the cached value, or undefined when missing or expired
+  get(kind, key) {
+    return this.getEntry(kind, key)?.value;
+  }
+
+  // Same, but the whole { key, storedAt, cost, value } entry
+  getEntry(kind, key) {
+    if (!this.enabled) return undefined;
+    let entry = null;
+    try {
+      entry = readJsonFile(this.file(kind, key), null);
+    } catch (error) {
+      entry = null;
+    }
+
+    const fresh = entry && entry.key === key && Date.now() - Date.parse(entry.storedAt) <= this.ttlMs[kind];
+    const stats = this.stats[kind];
+    if (!fresh) {
+      stats.misses++;
+      return undefined;
+    }
+    stats.hits++;
+    stats.savedCredits += entry.cost?.credits || 0;
+    stats.savedTokens += entry.cost?.tokens || 0;
+    return entry;
+  }
+
+  // cost: { credits, tokens } spent fetching the value, credited to the stats on each hit
+  set(kind, key, value, cost = {}) {
+    if (!this.enabled) return;
+    writeJsonFile(this.file(kind, key), { key, storedAt: new Date().toISOString(), cost, value });
+  }
+
+  // Deletes entries past their kind's TTL; returns the number removed
+  prune() {
+    let removed = 0;
+    Object.values(KINDS).forEach(kind => {
+      const dir = path.join(this.dir, kind);
+      if (!fs.existsSync(dir)) return;
+      fs.readdirSync(dir).forEach(name => {
+        const file = path.join(dir, name);
+        if (Date.now() - fs.statSync(file).mtimeMs > this.ttlMs[kind]) {
+          fs.rmSync(file, { force: true });
+          removed++;
+        }
+      });
+    });
+    return removed;
+  }
+
+  // e.g. "search-page 2/3, description 2/2, llm 1/1" (hits/lookups)
+  summary() {
+    return Object.entries(this.stats)
+      .filter(([, stats]) => stats.hits + stats.misses > 0)
+      .map(([kind, stats]) => `${kind} ${stats.hits}/${stats.hits + stats.misses}`)
+      .join(', ');
+  }
+
+  savings() {
+    const totals = { credits: 0, tokens: 0 };
+    Object.values(this.stats).forEach(stats => {
+      totals.credits += stats.savedCredits;
+      totals.tokens += stats.savedTokens;
+    });
+    return totals;
+  }
+}
+
+module.exports = {
+  CACHE_DEFAULTS,
+  KINDS,
+  ResponseCache,
+  pageKind,
+  descriptionKey
+};
@@ -0,0 +1,177 @@
+const { getMarketplace } = require('./marketplaces');
+const { NEW_SELLER_MONTHS, monthsSince } = require('./item-page');
+
+// ═══════════════════════════════════════════════════════════
+// RISK ANALYSER
+// ═══════════════════════════════════════════════════════════
+// Scores how likely a listing is to be a scam, separately from how good a deal it is:
+// a caravan at 30% of market from a 0-feedback seller is a great "deal" and a bad bet.
+// Each signal adds points; the total maps to a level (low/medium/high) shown next to the
+// score in alerts. Searches with riskBlockLevel drop unicorns at or above that level.
+const RISK_DEFAULTS = {
+  enabled: true,
+  // Points at which an item becomes medium / high risk
+  mediumAt: 3,
+  highAt: 6,
+  // Buy It Now landed cost at or below this share of market value (median sold, else expectedPrice)
+  farBelowMarketPercent: 50,
+  lowFeedbackCount: 10
+};
+
+const RISK_LEVELS = {
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high'
+};
+
+const LEVEL_ORDER = [RISK_LEVELS.LOW, RISK_LEVELS.MEDIUM, RISK_LEVELS.HIGH];
+
+// Matched against the title and description; each label counts once
+const OFF_EBAY_SIGNALS = [
+  { pattern: /\b(contact|call|text|sms|email|message) me (directly|on|at|via)\b|\bwhats ?app\b|\b(off|outside( of)?) ebay\b|\bdeal direct(ly)?\b/i, points: 4, label: 'asks to deal off eBay' },
+  { pattern: /\b(bank (transfer|deposit)|direct deposit|wire transfer|western union|money ?gram|pay ?id|osko|gift cards?|paypal (friends|f&f|family))\b/i, points: 4, label: 'asks for bank transfer / off-platform payment' }
+];
+
+const CONTACT_DETAILS = [
+  { pattern: /[\w.+-]+@[\w-]+\.[\w.-]+/, label: 'email address' },
+  // Australian numbers, anything written with a +country code, and US (555) 123-4567
+  { pattern: /(?:\+61[\s-]?|\b0)[2-478](?:[\s-]?\d){8}\b|\+\d{1,3}(?:[\s-]?\d){7,12}\b|\(\d{3}\)\s?\d{3}-\d{4}/, label: 'phone number' }
+];
+
+// A pickup-only seller who isn't actually there ("I'm overseas, my courier will deliver")
+const AWAY_SIGNALS = /\b(overseas|interstate|relocated|moved to|deployed|working away|posted away|shipping agent|courier will|freight company will|transport company will)\b/i;
+
+// Country names a location line may use -> the name marketplaces use for their country
+const COUNTRIES = {
+  'Australia': 'Australia',
+  'New Zealand': 'New Zealand',
+  'United States': 'United States',
+  'USA': 'United States',
+  'United Kingdom': 'United Kingdom',
+  'UK': 'United Kingdom',
+  'Germany': 'Germany',
+  'Deutschland': 'Germany',
+  'China': 'China',
+  'Hong Kong': 'Hong Kong',
+  'Japan': 'Japan',
+  'Canada': 'Canada'
+};
+
+const normaliseTitle = title => (title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+function levelFor(points, options) {
+  if (points >= options.highAt) return RISK_LEVELS.HIGH;
+  if (points >= options.mediumAt) return RISK_LEVELS.MEDIUM;
+  return RISK_LEVELS.LOW;
+}
+
+// true when level is at or above blockLevel (unset blockLevel never blocks)
+function riskAtLeast(level, blockLevel) {
+  if (!blockLevel || !level) return false;
+  return LEVEL_ORDER.indexOf(level) >= LEVEL_ORDER.indexOf(blockLevel);
+}
+
+// Titles -> the sellers using them across one scrape, for the reused-title check
+function indexTitles(items) {
+  const index = new Map();
+  items.forEach(item => {
+    const title = normaliseTitle(item.title);
+    if (!index.has(title)) index.set(title, new Map());
+    index.get(title).set(item.itemId, item.sellerName);
+  });
+  return index;
+}
+
+function priceSignal(item, searchConfig, options) {
+  // An auction's current bid isn't what it will sell for
+  if (item.isAuction || !item.pricing?.landed) return null;
+  const market = searchConfig.marketStats?.median || searchConfig.expectedPrice;
+  if (!market) return null;
+  const percent = Math.round((item.pricing.landed / market) * 100);
+  if (percent > options.farBelowMarketPercent) return null;
+  const points = percent <= options.farBelowMarketPercent * 0.6 ? 4 : 3;
+  return { points, label: `price ${percent}% of market value` };
+}
+
+function sellerSignals(item, options) {
+  const signals = [];
+  const count = item.sellerFeedbackCount;
+  if (count === 0) signals.push({ points: 3, label: 'seller has no feedback' });
+  else if (typeof count === 'number' && count < options.lowFeedbackCount) signals.push({ points: 2, label: `seller has only ${count} feedback` });
+
+  const sellerMonths = monthsSince(item.sellerMemberSince);
+  if (sellerMonths !== null && sellerMonths < NEW_SELLER_MONTHS) signals.push({ points: 2, label: `new seller (joined ${item.sellerMemberSince})` });
+  return signals;
+}
+
+function textSignals(item) {
+  const signals = [];
+  const text = `${item.title || ''}\n${item.description || ''}`;
+  OFF_EBAY_SIGNALS.forEach(rule => {
+    if (rule.pattern.test(text)) signals.push({ points: rule.points, label: rule.label });
+  });
+  const contacts = CONTACT_DETAILS.filter(rule => rule.pattern.test(item.description || '')).map(rule => rule.label);
+  if (contacts.length > 0) signals.push({ points: 3, label: `${contacts.join(' and ')} in description` });
+  return signals;
+}
+
+function locationSignal(item, searchConfig) {
+  if (item.fulfilment !== 'pickup') return null;
+  const location = item.distance || '';
+  const km = location.match(/([\d,]+)\s*km/i);
+  if (km && searchConfig.distance && parseInt(km[1].replace(/,/g, '')) > parseInt(searchConfig.distance)) {
+    return { points: 3, label: `pickup only but ${km[1]} km away` };
+  }
+  const home = getMarketplace(searchConfig.marketplace)?.country;
+  const named = Object.keys(COUNTRIES).find(name => new RegExp(`\\b${name}\\b`, 'i').test(location));
+  if (home && named && COUNTRIES[named] !== home) {
+    return { points: 3, label: `pickup only but located ${location}` };
+  }
+  if (AWAY_SIGNALS.test(item.description || '')) {
+    return { points: 3, label: 'pickup only but seller says they are away / will courier it' };
+  }
+  return null;
+}
+
+const knownSeller = name => (name && name !== 'N/A' ? name : null);
+
+// Only listings whose sellers are both known and different count - an unparsed seller could be the same one
+function reusedTitleSignal(item, titleIndex) {
+  const sellers = titleIndex?.get(normaliseTitle(item.title));
+  const seller = knownSeller(item.sellerName);
+  if (!sellers || !seller) return null;
+  const others = [...sellers].filter(([itemId, other]) => itemId !== item.itemId && knownSeller(other) && other !== seller);
+  if (others.length === 0) return null;
+  return { points: 2, label: `same title as ${others.length} other listing(s) (e.g. seller ${others[0][1]})` };
+}
+
+// Returns { level, points, reasons } from whatever the item has so far: search-page fields
+// before Pass 2, plus description and seller details after it. titleIndex comes from
+// indexTitles() over the whole scrape.
+function assessRisk(item, searchConfig, titleIndex = null, options = {}) {
+  options = { ...RISK_DEFAULTS, ...options };
+  const signals = [
+    priceSignal(item, searchConfig, options),
+    ...sellerSignals(item, options),
+    ...textSignals(item),
+    locationSignal(item, searchConfig),
+    reusedTitleSignal(item, titleIndex)
+  ].filter(Boolean);
+
+  const points = signals.reduce((total, signal) => total + signal.points, 0);
+  return { level: levelFor(points, options), points, reasons: signals.map(signal => signal.label) };
+}
+
+function validateRiskSettings(risk = {}) {
+  const { mediumAt, highAt } = { ...RISK_DEFAULTS, ...risk };
+  return highAt > mediumAt ? [] : [`risk: highAt (${highAt}) must be greater than mediumAt (${mediumAt})`];
+}
+
+module.exports = {
+  RISK_DEFAULTS,
+  RISK_LEVELS,
+  assessRisk,
+  indexTitles,
+  riskAtLeast,
+  validateRiskSettings
+};
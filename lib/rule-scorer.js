@@ -0,0 +1,111 @@
+const { minutesLeft } = require('./utils');
+const { computePricing, SHIPPING_TYPES } = require('./pricing');
+const { FEW_PHOTOS } = require('./item-page');
+
+// ═══════════════════════════════════════════════════════════
+// RULE-BASED SCORER
+// ═══════════════════════════════════════════════════════════
+// The same scoring strategy the Gemini prompt spells out, applied locally.
+// Returns rankings in the { id, rank, score, reasoning } shape rankItemsWithGemini() produces.
+const CONDITION_BOOSTS = [
+  { pattern: /\b(brand new|new|mint|as new|like new|unused)\b/i, points: 10, label: 'excellent condition' },
+  { pattern: /\b(for parts|not working|spares)\b/i, points: -30, label: 'parts/not working' }
+];
+
+const DESCRIPTION_INDICATORS = [
+  { pattern: /\b(hard ?case|gig ?bag|case included|accessories|extras|annexe|awning)\b/i, points: 10, label: 'includes case/accessories' },
+  { pattern: /\b(recently serviced|serviced|maintained|new strings|setup done|rego)\b/i, points: 5, label: 'serviced/maintained' },
+  { pattern: /\b(well cared|looked after|excellent working|perfect working|excellent condition)\b/i, points: 5, label: 'well cared for' }
+];
+
+const DESCRIPTION_RED_FLAGS = [
+  { pattern: /\b(as[- ]is|for parts|not working|doesn'?t work)\b/i, points: -30, label: 'sold as-is/not working' },
+  { pattern: /\b(damaged?|cracks?|cracked|repairs? needed|needs repair|water damage)\b/i, points: -20, label: 'damage/repairs needed' },
+  { pattern: /\b(needs work|project|restore|restoration)\b/i, points: -15, label: 'needs work/project' },
+  // "missing", but not "nothing missing" / "no missing parts" / "nothing is missing"
+  { pattern: /(?<!\b(?:nothing|no|not|none)(?:\s+(?:is|are))?\s+)\bmissing\b|\b(no case|no accessories)\b/i, points: -10, label: 'missing parts/accessories' }
+];
+
+function titleRelevance(title, searchTerm) {
+  const words = searchTerm.toLowerCase().split(/\s+/).filter(w => w.length > 1);
+  const lowerTitle = title.toLowerCase();
+  const matched = words.filter(w => lowerTitle.includes(w));
+  return words.length === 0 ? 1 : matched.length / words.length;
+}
+
+function scoreItem(item, { searchTerm, expectedPrice, urgentThresholdMins, includeDescriptions }) {
+  let score = 50;
+  const reasons = [];
+  const apply = (points, label) => {
+    score += points;
+    reasons.push(`${label} (${points > 0 ? '+' : ''}${points})`);
+  };
+
+  const relevance = titleRelevance(item.title || '', searchTerm);
+  if (relevance === 1) apply(20, 'relevant title');
+
+  const pricing = item.pricing || computePricing(item.price, item.shipping);
+  const price = pricing.landed;
+  if (expectedPrice && price) {
+    const ratio = price / expectedPrice;
+    if (ratio <= 0.8) apply(15, `${Math.round((1 - ratio) * 100)}% below expected`);
+    else if (ratio > 1.2) apply(-10, `${Math.round((ratio - 1) * 100)}% above expected`);
+  }
+
+  const minsLeft = minutesLeft(item);
+  if (item.isAuction && minsLeft !== null) {
+    const lowBids = (item.bidCount || 0) <= 2;
+    if (minsLeft < urgentThresholdMins && lowBids) apply(20, 'ending soon with low bids (URGENT)');
+    else if (minsLeft < urgentThresholdMins * 2 && lowBids) apply(10, 'ending soon-ish with low bids');
+    else if (minsLeft < urgentThresholdMins * 2 && item.bidCount > 5) apply(-5, 'ending soon with many bids');
+  }
+
+  const conditionText = `${item.condition || ''} ${item.title || ''}`;
+  CONDITION_BOOSTS.forEach(rule => {
+    if (rule.pattern.test(conditionText)) apply(rule.points, rule.label);
+  });
+
+  if (pricing.shippingType === SHIPPING_TYPES.FREE) apply(5, 'free shipping');
+
+  const rating = parseFloat(item.sellerRating);
+  if (rating >= 98) apply(5, `seller ${rating}%`);
+  else if (rating < 95) apply(-5, `seller only ${rating}%`);
+
+  if (includeDescriptions && item.description) {
+    DESCRIPTION_INDICATORS.forEach(rule => {
+      if (rule.pattern.test(item.description)) apply(rule.points, rule.label);
+    });
+    DESCRIPTION_RED_FLAGS.forEach(rule => {
+      if (rule.pattern.test(item.description)) apply(rule.points, `RED FLAG: ${rule.label}`);
+    });
+  }
+
+  // Item page details (Pass 2 only)
+  if (includeDescriptions) {
+    if (item.returnsAccepted === false) apply(-5, 'no returns');
+    if (typeof item.photoCount === 'number' && item.photoCount < FEW_PHOTOS) apply(-5, `only ${item.photoCount} photo(s)`);
+  }
+
+  // Titles that don't match the search at all should never beat relevant items
+  if (relevance === 0) {
+    score = Math.min(score, 25);
+    reasons.unshift('not relevant to search (capped at 25)');
+  }
+
+  return {
+    score: Math.max(0, Math.min(100, Math.round(score))),
+    reasoning: `Rules: ${reasons.join(', ') || 'no adjustments'}`
+  };
+}
+
+function rankItemsWithRules(items, options) {
+  return items
+    .map((item, id) => ({ id, ...scoreItem(item, options) }))
+    .sort((a, b) => b.score - a.score)
+    .map((ranking, i) => ({ ...ranking, rank: i + 1 }));
+}
+
+module.exports = {
+  rankItemsWithRules,
+  scoreItem
+};
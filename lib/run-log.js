@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+
+// ═══════════════════════════════════════════════════════════
+// STRUCTURED RUN LOG
+// ═══════════════════════════════════════════════════════════
+// Every log() line is also kept as a JSON event ({ time, level, message, search, stage,
+// itemId, durationMs, ... }) and written to eventsPath as JSON lines next to scan-log.txt.
+// Counters and per-stage timings add up to one metrics summary per run, written to
+// metricsPath and appended to historyPath (last historyKeep runs) for comparing runs.
+const RUN_LOG_DEFAULTS = {
+  enabled: true,
+  eventsPath: 'scan-events.jsonl',
+  metricsPath: 'scan-metrics.json',
+  historyPath: 'state/metrics-history.jsonl',
+  historyKeep: 500
+};
+
+const LEVELS = {
+  INFO: 'info',
+  WARN: 'warn',
+  ERROR: 'error'
+};
+
+// Listing counts as a search narrows them down
+const ITEM_STAGES = ['extracted', 'relevant', 'unicorn', 'confirmed'];
+
+// Log lines without an explicit level get one from their emoji; failed attempts are warnings
+function levelOf(message, failure) {
+  if (/❌|💥/.test(message)) return LEVELS.ERROR;
+  if (/⚠️/.test(message) || failure) return LEVELS.WARN;
+  return LEVELS.INFO;
+}
+
+// Failure type for the metrics, from an error's HTTP status or message
+function failureType(error) {
+  if (error.status === 429 || (error.retryAfterMs ?? null) !== null) return 'rate-limited';
+  if (error.status) return `http-${error.status}`;
+  if (/budget/i.test(error.message)) return 'budget';
+  if (/timeout|timed out|aborted/i.test(error.message)) return 'timeout';
+  return 'error';
+}
+
+function emptyMetrics() {
+  return {
+    pagesFetched: 0,
+    pagesCached: 0,
+    fetchCalls: 0,
+    fetchRetries: 0,
+    scraperApiCalls: 0,
+    llmCalls: 0,
+    llmCached: 0,
+    llmRetries: 0,
+    llmTokens: 0,
+    items: Object.fromEntries(ITEM_STAGES.map(stage => [stage, 0])),
+    searches: {},
+    failures: {},
+    // Total milliseconds per stage, summed across searches
+    durations: {}
+  };
+}
+
+class RunLog {
+  constructor(options = {}) {
+    this.options = { ...RUN_LOG_DEFAULTS, ...options };
+    this.events = [];
+    this.startRun();
+  }
+
+  configure(options = {}) {
+    this.options = { ...RUN_LOG_DEFAULTS, ...options };
+  }
+
+  // Counters start again for each scan; events are kept until reset() (after each save in watch mode)
+  startRun() {
+    this.startedAt = new Date().toISOString();
+    this.metrics = emptyMetrics();
+    this.finished = null;
+  }
+
+  reset() {
+    this.events = [];
+  }
+
+  // fields.metric bumps that counter; fields.failure counts a failure of that type, keyed
+  // by stage too ("fetch:http-500")
+  event(message, fields = {}) {
+    const { metric, failure, ...rest } = fields;
+    if (metric) this.count(metric);
+    if (failure) this.fail(rest.stage ? `${rest.stage}:${failure}` : failure);
+    const event = { time: new Date().toISOString(), level: rest.level || levelOf(message, failure), message: message.trim(), ...rest };
+    if (failure) event.failure = failure;
+    this.events.push(event);
+    return event;
+  }
+
+  count(name, amount = 1) {
+    this.metrics[name] = (this.metrics[name] || 0) + amount;
+  }
+
+  fail(type) {
+    this.metrics.failures[type] = (this.metrics.failures[type] || 0) + 1;
+  }
+
+  // counts: { extracted, relevant, unicorn, confirmed }, any subset; adds to the run totals
+  items(searchName, counts) {
+    const search = this.metrics.searches[searchName] || Object.fromEntries(ITEM_STAGES.map(stage => [stage, 0]));
+    Object.entries(counts).forEach(([stage, count]) => {
+      search[stage] += count;
+      this.metrics.items[stage] += count;
+    });
+    this.metrics.searches[searchName] = search;
+  }
+
+  // Runs task and records how long it took as a { stage, search, durationMs } event
+  async time(stage, fields, task) {
+    const started = Date.now();
+    try {
+      return await task();
+    } finally {
+      const durationMs = Date.now() - started;
+      this.metrics.durations[stage] = (this.metrics.durations[stage] || 0) + durationMs;
+      this.event(`${stage} took ${durationMs}ms`, { ...fields, stage, durationMs });
+    }
+  }
+
+  // Freezes this run's metrics and (unless history is false) appends them to the history; returns them
+  finishRun(extra = {}, { history = true } = {}) {
+    const finishedAt = new Date().toISOString();
+    this.finished = {
+      startedAt: this.startedAt,
+      finishedAt,
+      durationMs: Date.parse(finishedAt) - Date.parse(this.startedAt),
+      ...this.metrics,
+      ...extra
+    };
+    if (this.options.enabled && history) this.appendHistory(this.finished);
+    return this.finished;
+  }
+
+  appendHistory(metrics) {
+    const file = path.resolve(this.options.historyPath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const lines = fs.existsSync(file) ? fs.readFileSync(file, 'utf8').split('\n').filter(Boolean) : [];
+    lines.push(JSON.stringify(metrics));
+    fs.writeFileSync(file, lines.slice(-this.options.historyKeep).join('\n') + '\n');
+  }
+
+  // Writes the events (and the last finished run's metrics) for this process
+  save() {
+    if (!this.options.enabled) return;
+    fs.writeFileSync(this.options.eventsPath, this.events.map(event => JSON.stringify(event)).join('\n') + (this.events.length ? '\n' : ''));
+    if (this.finished) fs.writeFileSync(this.options.metricsPath, JSON.stringify(this.finished, null, 2));
+  }
+}
+
+const retries = count => `${count} retr${count === 1 ? 'y' : 'ies'}`;
+
+// e.g. "pages 12 fetched / 3 cached, fetch 13 call(s) (13 ScraperAPI, 1 retry), LLM 4 call(s)
+// ~20,100 tokens (0 retries, 1 cached), items 120 → 30 → 4 → 2 (...), failures: none"
+function formatMetrics(metrics) {
+  const failures = Object.entries(metrics.failures).map(([type, count]) => `${count} ${type}`).join(', ') || 'none';
+  return [
+    `pages ${metrics.pagesFetched} fetched / ${metrics.pagesCached} cached`,
+    `fetch ${metrics.fetchCalls} call(s) (${metrics.scraperApiCalls} ScraperAPI, ${retries(metrics.fetchRetries)})`,
+    `LLM ${metrics.llmCalls} call(s) ~${metrics.llmTokens.toLocaleString()} tokens (${retries(metrics.llmRetries)}, ${metrics.llmCached} cached)`,
+    `items ${ITEM_STAGES.map(stage => metrics.items[stage]).join(' → ')} (${ITEM_STAGES.join(' → ')})`,
+    `failures: ${failures}`
+  ].join(', ');
+}
+
+module.exports = {
+  RUN_LOG_DEFAULTS,
+  LEVELS,
+  RunLog,
+  failureType,
+  formatMetrics
+};
@@ -0,0 +1,109 @@
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./state');
+
+// ═══════════════════════════════════════════════════════════
+// WATCH MODE SCHEDULER
+// ═══════════════════════════════════════════════════════════
+// Each search runs every intervalHours, plus a random 0..jitterMinutes delay so searches
+// (and runs of several scanners) don't all hit eBay at the same moment. Next run times
+// are written to a status file, which a restarted scanner picks up again.
+const WATCH_DEFAULTS = {
+  statusPath: 'state/watch-status.json',
+  tickSeconds: 30,
+  flushMinutes: 60
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class SearchScheduler {
+  constructor(searches, options = {}) {
+    this.options = { ...WATCH_DEFAULTS, ...options };
+    this.file = path.resolve(this.options.statusPath);
+    this.startedAt = new Date().toISOString();
+    this.schedules = new Map(searches.map(search => [search.name, {
+      intervalHours: search.intervalHours,
+      jitterMinutes: search.jitterMinutes || 0,
+      lastRunAt: null,
+      lastResult: null,
+      lastError: null,
+      lastUnicorns: 0,
+      consecutiveFailures: 0,
+      nextRunAt: null
+    }]));
+  }
+
+  // Restores next run times from a previous process; new searches run straight away,
+  // and a shortened interval takes effect immediately
+  load(now = Date.now()) {
+    const previous = readJsonFile(this.file, { searches: {} }).searches || {};
+    this.schedules.forEach((schedule, name) => {
+      const saved = previous[name];
+      if (!saved) {
+        schedule.nextRunAt = now;
+        return;
+      }
+      // Times are saved as ISO strings but kept as epoch ms
+      const savedLast = Date.parse(saved.lastRunAt);
+      Object.assign(schedule, {
+        lastRunAt: Number.isFinite(savedLast) ? savedLast : null,
+        lastResult: saved.lastResult ?? null,
+        lastError: saved.lastError ?? null,
+        lastUnicorns: saved.lastUnicorns ?? 0,
+        consecutiveFailures: saved.consecutiveFailures ?? 0
+      });
+      const savedNext = Date.parse(saved.nextRunAt);
+      const latest = now + schedule.intervalHours * HOUR_MS;
+      schedule.nextRunAt = Number.isFinite(savedNext) ? Math.min(savedNext, latest) : now;
+    });
+    return this;
+  }
+
+  // Names of searches that are due, longest-waiting first
+  due(now = Date.now()) {
+    return [...this.schedules.entries()]
+      .filter(([, schedule]) => schedule.nextRunAt <= now)
+      .sort((a, b) => a[1].nextRunAt - b[1].nextRunAt)
+      .map(([name]) => name);
+  }
+
+  msUntilNext(now = Date.now()) {
+    const next = Math.min(...[...this.schedules.values()].map(schedule => schedule.nextRunAt));
+    return Math.max(0, next - now);
+  }
+
+  // result: { ok, error, unicorns }
+  markFinished(name, result, now = Date.now()) {
+    const schedule = this.schedules.get(name);
+    const jitterMs = Math.random() * schedule.jitterMinutes * 60 * 1000;
+    Object.assign(schedule, {
+      lastRunAt: now,
+      lastResult: result.ok ? 'ok' : 'failed',
+      lastError: result.ok ? null : result.error,
+      lastUnicorns: result.unicorns || 0,
+      consecutiveFailures: result.ok ? 0 : schedule.consecutiveFailures + 1,
+      nextRunAt: now + schedule.intervalHours * HOUR_MS + jitterMs
+    });
+  }
+
+  // state: idle, running or stopped; current: names of the searches being run
+  writeStatus(state, current = []) {
+    const iso = ms => (ms === null ? null : new Date(ms).toISOString());
+    const searches = {};
+    this.schedules.forEach((schedule, name) => {
+      searches[name] = { ...schedule, lastRunAt: iso(schedule.lastRunAt), nextRunAt: iso(schedule.nextRunAt) };
+    });
+    writeJsonFile(this.file, {
+      pid: process.pid,
+      startedAt: this.startedAt,
+      updatedAt: new Date().toISOString(),
+      state,
+      current,
+      searches
+    });
+  }
+}
+
+module.exports = {
+  WATCH_DEFAULTS,
+  SearchScheduler
+};
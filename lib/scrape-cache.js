@@ -0,0 +1,50 @@
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./state');
+
+// ═══════════════════════════════════════════════════════════
+// LAST-SCRAPE CACHE
+// ═══════════════════════════════════════════════════════════
+// Keeps the most recent parsed listings per search (with any fetched descriptions) so
+// "node scanner.js rerank" can try new prompts, weights or thresholds without hitting eBay.
+const SCRAPE_CACHE_DEFAULTS = {
+  path: 'state/last-scrape.json'
+};
+
+// Scores are recomputed on every rank, so they aren't worth storing
+const RANKING_FIELDS = ['aiScore', 'aiReasoning', 'ruleScore', 'modelScore'];
+
+class ScrapeCache {
+  constructor(options = {}) {
+    this.options = { ...SCRAPE_CACHE_DEFAULTS, ...options };
+    this.file = path.resolve(this.options.path);
+    this.searches = null;
+  }
+
+  load() {
+    if (!this.searches) this.searches = readJsonFile(this.file, { searches: {} }).searches || {};
+    return this;
+  }
+
+  // Returns { scrapedAt, items } or null
+  get(searchName) {
+    return this.load().searches[searchName] || null;
+  }
+
+  set(searchName, items) {
+    const stripped = items.map(item => {
+      const copy = { ...item };
+      RANKING_FIELDS.forEach(field => delete copy[field]);
+      return copy;
+    });
+    this.load().searches[searchName] = { scrapedAt: new Date().toISOString(), items: stripped };
+  }
+
+  save() {
+    writeJsonFile(this.file, { updatedAt: new Date().toISOString(), searches: this.load().searches });
+  }
+}
+
+module.exports = {
+  SCRAPE_CACHE_DEFAULTS,
+  ScrapeCache
+};
@@ -0,0 +1,125 @@
+const { minutesLeft } = require('./utils');
+
+// ═══════════════════════════════════════════════════════════
+// SEARCH FILTERS
+// ═══════════════════════════════════════════════════════════
+// Every filter is sent to eBay where a query parameter exists and re-applied locally,
+// because eBay's matching is loose (excluded words still appear in promoted items,
+// condition filters ignore mis-categorised listings, etc.).
+
+// eBay condition IDs and the condition text they show up as in results
+const CONDITION_IDS = {
+  1000: /\bnew\b(?!.*other)/i,
+  1500: /new other|open box/i,
+  2000: /certified.*refurb/i,
+  2010: /excellent.*refurb/i,
+  2020: /very good.*refurb/i,
+  2030: /good.*refurb/i,
+  2500: /seller refurb|refurbished/i,
+  3000: /used|pre-owned/i,
+  7000: /for parts|not working/i
+};
+
+function quoteKeyword(word) {
+  return /\s/.test(word) ? `"${word}"` : word;
+}
+
+// eBay supports -word exclusions directly in _nkw
+function buildKeywordQuery(term, excludeKeywords = []) {
+  return [term, ...excludeKeywords.map(word => `-${quoteKeyword(word)}`)].join(' ');
+}
+
+// Query parameters shared by the live search and the sold-listings search
+function buildCommonParams(searchConfig) {
+  const params = [`_nkw=${encodeURIComponent(buildKeywordQuery(searchConfig.term, searchConfig.excludeKeywords))}`];
+  if (searchConfig.categoryId) params.push(`_sacat=${searchConfig.categoryId}`);
+  if (searchConfig.conditionIds?.length) params.push(`LH_ItemCondition=${searchConfig.conditionIds.join('%7C')}`);
+  return params;
+}
+
+// Parameters that only make sense for live listings. minPrice/maxPrice are in the base
+// currency (like the local check on item.pricing); rate converts the marketplace's currency
+// to it, and the bounds are rounded outwards so eBay never drops what the local check keeps
+function buildListingParams(searchConfig, rate = 1) {
+  const params = [];
+  if (searchConfig.minPrice) params.push(`_udlo=${Math.floor(searchConfig.minPrice / rate)}`);
+  if (searchConfig.maxPrice) params.push(`_udhi=${Math.ceil(searchConfig.maxPrice / rate)}`);
+  if (searchConfig.auctionOnly || searchConfig.endingWithinHours) params.push('LH_Auction=1');
+  if (searchConfig.buyItNowOnly) params.push('LH_BIN=1');
+  // eBay has no "ends within" parameter; sorting by "ending soonest" keeps them on the first pages
+  if (searchConfig.endingWithinHours) params.push('_sop=1');
+  return params;
+}
+
+function titleHasKeyword(title, word) {
+  const escaped = word.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|\\W)${escaped}($|\\W)`, 'i').test(title);
+}
+
+// Returns { kept, dropped } where dropped counts removed items per reason
+function applyLocalFilters(items, searchConfig) {
+  const dropped = {};
+  const checks = [];
+
+  if (searchConfig.excludeKeywords?.length) {
+    checks.push(['excluded keyword', item => !searchConfig.excludeKeywords.some(word => titleHasKeyword(item.title, word))]);
+  }
+  if (searchConfig.minPrice) {
+    checks.push(['below min price', item => item.pricing.price === null || item.pricing.priceMax >= searchConfig.minPrice]);
+  }
+  if (searchConfig.maxPrice) {
+    checks.push(['above max price', item => item.pricing.price === null || item.pricing.price <= searchConfig.maxPrice]);
+  }
+  if (searchConfig.maxLandedPrice) {
+    checks.push(['above max landed price', item => item.pricing.landed === null || item.pricing.landed <= searchConfig.maxLandedPrice]);
+  }
+  if (searchConfig.conditionIds?.length) {
+    const patterns = searchConfig.conditionIds.map(id => CONDITION_IDS[id]).filter(Boolean);
+    checks.push(['condition not allowed', item => item.condition === 'N/A' || patterns.some(pattern => pattern.test(item.condition))]);
+  }
+  if (searchConfig.buyItNowOnly) {
+    checks.push(['not Buy It Now', item => !item.isAuction || item.buyItNow]);
+  }
+  if (searchConfig.auctionOnly) {
+    checks.push(['not an auction', item => item.isAuction]);
+  }
+  if (searchConfig.endingWithinHours) {
+    const limit = searchConfig.endingWithinHours * 60;
+    checks.push([`not ending within ${searchConfig.endingWithinHours}h`, item => {
+      const minsLeft = minutesLeft(item);
+      return minsLeft !== null && minsLeft <= limit;
+    }]);
+  }
+
+  const kept = items.filter(item => {
+    const failed = checks.find(([, check]) => !check(item));
+    if (failed) dropped[failed[0]] = (dropped[failed[0]] || 0) + 1;
+    return !failed;
+  });
+
+  return { kept, dropped };
+}
+
+// Cross-field checks the per-field schema can't express
+function validateFilterCombination(search) {
+  const errors = [];
+  if (search.minPrice && search.maxPrice && search.minPrice > search.maxPrice) {
+    errors.push(`minPrice (${search.minPrice}) is above maxPrice (${search.maxPrice})`);
+  }
+  if (search.buyItNowOnly && (search.auctionOnly || search.endingWithinHours)) {
+    errors.push('buyItNowOnly cannot be combined with auctionOnly or endingWithinHours');
+  }
+  (search.conditionIds || []).forEach(id => {
+    if (!CONDITION_IDS[id]) errors.push(`conditionIds: unknown condition ID ${id} (known: ${Object.keys(CONDITION_IDS).join(', ')})`);
+  });
+  return errors;
+}
+
+module.exports = {
+  CONDITION_IDS,
+  buildKeywordQuery,
+  buildCommonParams,
+  buildListingParams,
+  applyLocalFilters,
+  validateFilterCombination
+};
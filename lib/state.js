@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+
+// ═══════════════════════════════════════════════════════════
+// SEEN-LISTING STORE
+// ═══════════════════════════════════════════════════════════
+// Remembers every unicorn between runs, keyed by eBay item ID, so a listing is
+// only re-sent when it is new, its price dropped or its score rose noticeably.
+const STATE_DEFAULTS = {
+  path: 'state/seen-listings.json',
+  scoreRise: 10,
+  minPriceDropPercent: 0,
+  retentionDays: 60
+};
+
+const ALERT_TAGS = {
+  NEW: 'new',
+  PRICE_DROP: 'price drop',
+  SCORE_UP: 'score up',
+  // Follow-up alerts for tracked auctions (see auction-tracker.js)
+  BID_JUMP: 'bid jump',
+  OVER_VALUE: 'over value'
+};
+
+// Reads and writes a JSON file atomically; shared by every local store in lib/
+function readJsonFile(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+}
+
+function writeJsonFile(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+class SeenListingStore {
+  constructor(options = {}) {
+    this.options = { ...STATE_DEFAULTS, ...options };
+    this.file = path.resolve(this.options.path);
+    this.listings = {};
+  }
+
+  load() {
+    const data = readJsonFile(this.file, { listings: {} });
+    this.listings = data.listings || {};
+    return this;
+  }
+
+  save() {
+    this.prune();
+    writeJsonFile(this.file, { updatedAt: new Date().toISOString(), listings: this.listings });
+  }
+
+  get size() {
+    return Object.keys(this.listings).length;
+  }
+
+  get(itemId) {
+    return this.listings[itemId] || null;
+  }
+
+  // Records the latest price and score (and the unicornThreshold it was judged against);
+  // returns the record as it was before this sighting.
+  // relistOf is the record of an earlier listing this item relists (see dedupe.js findRelist):
+  // a new item ID then carries on its history, so an unchanged relist isn't alerted again.
+  observe(itemId, { title, searchName, price, score, threshold = null, sellerName = null, img = null }, relistOf = null) {
+    const now = new Date().toISOString();
+    const existing = this.listings[itemId];
+    const earlier = existing || relistOf;
+    const previous = earlier ? { ...earlier } : null;
+
+    this.listings[itemId] = {
+      itemId,
+      title,
+      searchName,
+      sellerName,
+      img,
+      firstSeen: earlier?.firstSeen || now,
+      lastSeen: now,
+      firstPrice: earlier ? earlier.firstPrice ?? earlier.lastPrice : price,
+      lastPrice: price,
+      lastScore: score,
+      lastThreshold: threshold,
+      relistOf: existing ? existing.relistOf ?? null : relistOf?.itemId ?? null,
+      relistCount: existing ? existing.relistCount || 0 : relistOf ? (relistOf.relistCount || 0) + 1 : 0,
+      notified: earlier?.notified || false,
+      notifiedAt: earlier?.notifiedAt || null,
+      notifiedPrice: earlier?.notifiedPrice ?? null,
+      notifiedScore: earlier?.notifiedScore ?? null,
+      notifiedThreshold: earlier?.notifiedThreshold ?? null
+    };
+
+    return previous;
+  }
+
+  // Decides whether a sighting is worth alerting on; returns an alert tag or null
+  classify(previous, { price, score }) {
+    if (!previous || !previous.notified) return ALERT_TAGS.NEW;
+
+    const { notifiedPrice, notifiedScore } = previous;
+    if (price != null && notifiedPrice != null && price < notifiedPrice) {
+      const dropPercent = ((notifiedPrice - price) / notifiedPrice) * 100;
+      if (dropPercent > this.options.minPriceDropPercent) return ALERT_TAGS.PRICE_DROP;
+    }
+
+    if (score != null && notifiedScore != null && score - notifiedScore >= this.options.scoreRise) {
+      return ALERT_TAGS.SCORE_UP;
+    }
+
+    return null;
+  }
+
+  markNotified(itemId) {
+    const record = this.listings[itemId];
+    if (!record) return;
+    record.notified = true;
+    record.notifiedAt = new Date().toISOString();
+    record.notifiedPrice = record.lastPrice;
+    record.notifiedScore = record.lastScore;
+    record.notifiedThreshold = record.lastThreshold ?? null;
+  }
+
+  // Drops listings we haven't seen for a while - they have almost certainly ended
+  prune() {
+    const cutoff = Date.now() - this.options.retentionDays * 24 * 60 * 60 * 1000;
+    Object.keys(this.listings).forEach(itemId => {
+      if (Date.parse(this.listings[itemId].lastSeen) < cutoff) delete this.listings[itemId];
+    });
+  }
+}
+
+module.exports = {
+  STATE_DEFAULTS,
+  ALERT_TAGS,
+  SeenListingStore,
+  readJsonFile,
+  writeJsonFile
+};
@@ -0,0 +1,40 @@
+// ═══════════════════════════════════════════════════════════
+// LISTING FIELD HELPERS
+// ═══════════════════════════════════════════════════════════
+// eBay links look like /itm/123456789012 or /itm/some-title-slug/123456789012
+function extractItemId(link) {
+  const match = (link || '').match(/\/itm\/(?:[^/?#]+\/)?(\d{9,})/);
+  return match ? match[1] : null;
+}
+
+function parseTimeLeft(timeStr) {
+  if (!timeStr || timeStr === 'N/A') return null;
+  const daysMatch = timeStr.match(/(\d+)d/);
+  const hoursMatch = timeStr.match(/(\d+)h/);
+  const minsMatch = timeStr.match(/(\d+)m/);
+  let minutes = 0;
+  if (daysMatch) minutes += parseInt(daysMatch[1]) * 24 * 60;
+  if (hoursMatch) minutes += parseInt(hoursMatch[1]) * 60;
+  if (minsMatch) minutes += parseInt(minsMatch[1]);
+  return minutes;
+}
+
+// Minutes until an auction ends: from its absolute endTime when known, so a saved scrape
+// stays right as time passes, else from the "2h 15m left" text
+function minutesLeft(item, now = Date.now()) {
+  const end = Date.parse(item.endTime);
+  if (!Number.isNaN(end)) return Math.max(0, Math.round((end - now) / 60000));
+  return parseTimeLeft(item.timeLeft);
+}
+
+function auctionEnded(item, now = Date.now()) {
+  const end = Date.parse(item.endTime);
+  return !!item.isAuction && !Number.isNaN(end) && end <= now;
+}
+
+module.exports = {
+  extractItemId,
+  parseTimeLeft,
+  minutesLeft,
+  auctionEnded
+};
@@ -1,5 +1,33 @@
 const fetch = require('node-fetch');
+const crypto = require('crypto');
 const fs = require('fs');
+const path = require('path');
+const { loadSearchConfig } = require('./lib/config');
+const { SeenListingStore, ALERT_TAGS } = require('./lib/state');
+const { computeMarketStats, MarketValueCache } = require('./lib/market-value');
+const { createFetcher } = require('./lib/fetchers');
+const { minutesLeft, auctionEnded } = require('./lib/utils');
+const { formatLanded } = require('./lib/pricing');
+const { DEFAULT_MARKETPLACE, getMarketplace, buildLocationParams, createCurrencyConverter } = require('./lib/marketplaces');
+const { buildCommonParams, buildListingParams, applyLocalFilters } = require('./lib/search-filters');
+const { rankItemsWithRules } = require('./lib/rule-scorer');
+const { createLlmRegistry } = require('./lib/llm');
+const { createNotifierRegistry } = require('./lib/notifiers');
+const { RunReport } = require('./lib/report');
+const { SearchScheduler } = require('./lib/scheduler');
+const { ScrapeCache } = require('./lib/scrape-cache');
+const { ResponseCache, KINDS: CACHE_KINDS, pageKind, descriptionKey } = require('./lib/response-cache');
+const { BUDGET_STATE, RunBudget, createRateLimiters, mapWithConcurrency, isRateLimited, estimateTokens } = require('./lib/rate-limiter');
+const { USAGE, parseCliArgs } = require('./lib/cli');
+const { AuctionTracker, parseAuctionPage } = require('./lib/auction-tracker');
+const { parseItemPage, listingFlags } = require('./lib/item-page');
+const { RISK_DEFAULTS, assessRisk, indexTitles, riskAtLeast } = require('./lib/risk');
+const { mergeDuplicates, findRelist, relistNote } = require('./lib/dedupe');
+const { RunLog, failureType, formatMetrics } = require('./lib/run-log');
+const { VERDICTS, FeedbackStore, selectExamples, formatExample, agreementByMonth, suggestThreshold, feedbackLink, createFeedbackServer } = require('./lib/feedback');
+const { AlertQueue, TIERS, isQuietTime, tierFor, routeFor, groupByRoute } = require('./lib/alerts');
+const { parseRankingResponse } = require('./lib/ranking-schema');
+const { parseSearchResults, emptyStats, mergeParserStats, formatHitRates } = require('./lib/listing-parser');
 
 // ═══════════════════════════════════════════════════════════
 // CONFIGURATION
@@ -7,66 +35,136 @@ const fs = require('fs');
 const CONFIG = {
   // API Keys from environment variables
   scraperApiKey: process.env.SCRAPER_API_KEY,
-  geminiApiKey: process.env.GEMINI_API_KEY,
-  googleScriptUrl: process.env.GOOGLE_SCRIPT_URL,
-  recipientEmail: process.env.RECIPIENT_EMAIL,
   
-  // 2 Different Item Searches
-  searches: [
-    {
-      name: "Maton Guitar",
-      term: 'Maton guitar',
-      expectedPrice: 1000,
-      postcode: '5000',
-      distance: '200',
-      topN: 5,
-      urgentHours: 4,
-      unicornThreshold: 85,
-      auctionOnly: false
-    },
-    {
-      name: "Caravan",
-      term: 'Caravan',
-      expectedPrice: 8000,
-      postcode: '5000',
-      distance: '200',
-      topN: 5,
-      urgentHours: 6,
-      unicornThreshold: 85,
-      auctionOnly: false
-    }
-  ]
+  // Saved searches live in a JSON/YAML file or a directory of them (see config.json)
+  configPath: process.env.SCANNER_CONFIG || path.join(__dirname, 'config.json'),
+  defaults: {},
+  settings: {},
+  searches: [],
+
+  // Page fetch backend (scraperapi, direct or replay), LLM providers and notify channels, set up by validateConfig()
+  fetcher: null,
+  llm: null,
+  notifiers: null,
+
+  // Converts listing prices into settings.currency.base
+  currency: createCurrencyConverter(),
+
+  // Fetched pages, descriptions and LLM responses reused between runs (settings.cache)
+  cache: new ResponseCache({ enabled: false }),
+
+  // Per-upstream rate limiters (settings.rateLimits) and the per-run API budget (settings.budget)
+  rateLimits: createRateLimiters(),
+  budget: new RunBudget(),
+
+  // JSON-lines events and per-run metrics kept alongside scan-log.txt (settings.runLog)
+  runLog: new RunLog()
 };
 
-const GEMINI_MODEL = 'gemini-3-flash-preview';
 let logMessages = [];
 
+// --json keeps stdout for the JSON output, so logs move to stderr
+let logToStderr = false;
+
 // ═══════════════════════════════════════════════════════════
 // VALIDATION
 // ═══════════════════════════════════════════════════════════
 function validateConfig() {
-  const required = ['scraperApiKey', 'geminiApiKey', 'googleScriptUrl', 'recipientEmail'];
-  const missing = required.filter(key => !CONFIG[key]);
+  const errors = [];
+
+  const loaded = loadSearchConfig(CONFIG.configPath);
+  errors.push(...loaded.errors);
+
+  let fetcher = null;
+  try {
+    fetcher = createFetcher(loaded.settings.fetcher, CONFIG);
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  let llm = null;
+  try {
+    llm = createLlmRegistry(loaded.settings.llm, process.env, log);
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  let notifiers = null;
+  try {
+    notifiers = createNotifierRegistry(loaded.settings.notify, process.env, log);
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  // Only require the keys the chosen fetch backend, LLM providers and notify channels actually use
+  const missing = (fetcher?.requiredKeys || []).filter(key => !CONFIG[key]);
+  const missingEnv = new Set();
+  if (notifiers) {
+    loaded.searches.forEach(search => {
+      (search.notify || []).filter(name => !notifiers.has(name)).forEach(name => {
+        errors.push(`Search "${search.name}": unknown notify channel "${name}" (configured: ${notifiers.names().join(', ')})`);
+      });
+    });
+  }
+  const routedChannels = [...new Set(loaded.searches.flatMap(search => search.notify || []))].filter(name => notifiers?.has(name));
+  const unaddressedChannels = notifiers
+    ? [...new Set(loaded.searches.filter(search => !search.recipients?.length).flatMap(search => search.notify || notifiers.names()))].filter(name => notifiers.has(name))
+    : [];
+  const missingNotifyEnv = (notifiers?.requiredEnv(routedChannels, unaddressedChannels) || []).filter(name => !process.env[name]);
+
+  loaded.searches.filter(search => search.scoringMode !== 'rules').forEach(search => {
+    if (!llm) return;
+    if (search.llmProvider && !llm.has(search.llmProvider)) {
+      errors.push(`Search "${search.name}": unknown llmProvider "${search.llmProvider}" (configured: ${llm.names().join(', ')})`);
+      return;
+    }
+    llm.get(search.llmProvider).requiredEnv.filter(name => !process.env[name]).forEach(name => missingEnv.add(name));
+  });
   
   if (missing.length > 0) {
-    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+    errors.unshift(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+  if (missingEnv.size > 0) {
+    errors.unshift(`Missing LLM provider environment variables: ${[...missingEnv].join(', ')}`);
+  }
+  if (missingNotifyEnv.length > 0) {
+    errors.unshift(`Missing notify channel environment variables: ${missingNotifyEnv.join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`${errors.length} problem(s) found:\n  - ${errors.join('\n  - ')}`);
   }
+
+  CONFIG.defaults = loaded.defaults;
+  CONFIG.settings = loaded.settings;
+  CONFIG.searches = loaded.searches;
+  CONFIG.fetcher = fetcher;
+  CONFIG.llm = llm;
+  CONFIG.notifiers = notifiers;
+  CONFIG.currency = createCurrencyConverter(loaded.settings.currency);
+  CONFIG.cache = new ResponseCache(loaded.settings.cache);
+  CONFIG.rateLimits = createRateLimiters(loaded.settings.rateLimits);
+  CONFIG.budget = new RunBudget(loaded.settings.budget);
+  CONFIG.runLog.configure(loaded.settings.runLog);
 }
 
 // ═══════════════════════════════════════════════════════════
 // LOGGING
 // ═══════════════════════════════════════════════════════════
-function log(message) {
+// fields (search, stage, itemId, metric, failure...) go into the line's structured event (see lib/run-log.js)
+function log(message, fields = {}) {
   const timestamp = new Date().toISOString();
   const logMsg = `[${timestamp}] ${message}`;
-  console.log(logMsg);
+  (logToStderr ? console.error : console.log)(logMsg);
   logMessages.push(logMsg);
+  CONFIG.runLog.event(message, fields);
 }
 
 function saveLog() {
   try {
     fs.writeFileSync('scan-log.txt', logMessages.join('\n'));
-    log('Log saved to scan-log.txt');
+    CONFIG.runLog.save();
+    log(`Log saved to scan-log.txt${CONFIG.runLog.options.enabled ? ` and ${CONFIG.runLog.options.eventsPath}` : ''}`);
   } catch (error) {
     console.error('Failed to save log:', error.message);
   }
@@ -75,127 +173,145 @@ function saveLog() {
 // ═══════════════════════════════════════════════════════════
 // UTILITY FUNCTIONS
 // ═══════════════════════════════════════════════════════════
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+// Pages still within their cache TTL are returned straight away; fresh skips the cache
+// (auction follow-ups need the live page). Live fetches wait for the backend's rate limiter
+// and count against the run's ScraperAPI budget on paid backends.
+async function fetchWithDelay(url, retries = 3, options = {}) {
+  return (await fetchPage(url, retries, options)).html;
 }
 
-async function fetchWithDelay(url, retries = 3) {
-  for (let i = 0; i < retries; i++) {
-    try {
-      await delay(3000 + Math.random() * 4000);
-      const proxy = `https://api.scraperapi.com?api_key=${CONFIG.scraperApiKey}&url=${encodeURIComponent(url)}&render=true`;
-      const res = await fetch(proxy, { timeout: 60000 });
-      
-      if (!res.ok) {
-        throw new Error(`ScraperAPI ${res.status}: ${res.statusText}`);
-      }
-      
-      return await res.text();
-    } catch (error) {
-      log(`  Fetch attempt ${i + 1}/${retries} failed: ${error.message}`);
-      if (i === retries - 1) throw error;
-      await delay(5000 * (i + 1));
+// Same as fetchWithDelay() but returns { html, fetchedAt }: when the page was really
+// fetched, which for cached and replayed pages is earlier than now
+async function fetchPage(url, retries = 3, { fresh = false } = {}) {
+  const kind = pageKind(url);
+  if (!fresh) {
+    const cached = CONFIG.cache.getEntry(kind, url);
+    if (cached !== undefined) {
+      CONFIG.runLog.count('pagesCached');
+      return { html: cached.value, fetchedAt: cached.storedAt };
     }
   }
-}
 
-async function callGeminiAPI(prompt, temperature = 0.3, retries = 3) {
+  const limiter = CONFIG.rateLimits.get('fetch', CONFIG.fetcher.upstream || CONFIG.fetcher.name, CONFIG.fetcher.throttle);
+  const paid = CONFIG.fetcher.creditsPerRequest > 0;
+
   for (let i = 0; i < retries; i++) {
+    if (paid) {
+      CONFIG.budget.ensure('requests');
+      CONFIG.budget.spend('requests', 1);
+      CONFIG.runLog.count('scraperApiCalls');
+    }
+    CONFIG.runLog.count('fetchCalls');
     try {
-      const response = await fetch(
-        `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${CONFIG.geminiApiKey}`,
-        {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            contents: [{ parts: [{ text: prompt }] }],
-            generationConfig: {
-              temperature: temperature,
-              maxOutputTokens: 8000,
-            }
-          }),
-          timeout: 60000
-        }
-      );
-
-      if (!response.ok) {
-        const error = await response.json().catch(() => ({}));
-        throw new Error(`Gemini API ${response.status}: ${error.error?.message || 'Unknown error'}`);
-      }
-
-      const data = await response.json();
-      const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
-      if (!text) throw new Error('No response from Gemini');
-      
-      return text;
+      const html = await limiter.run(() => CONFIG.fetcher.fetch(url));
+      CONFIG.cache.set(kind, url, html, { credits: CONFIG.fetcher.creditsPerRequest });
+      CONFIG.runLog.count('pagesFetched');
+      return { html, fetchedAt: CONFIG.fetcher.fetchedAt?.(url) || new Date().toISOString() };
     } catch (error) {
-      log(`  Gemini attempt ${i + 1}/${retries} failed: ${error.message}`);
+      log(`  Fetch attempt ${i + 1}/${retries} failed: ${error.message}`, {
+        stage: 'fetch',
+        url,
+        metric: i < retries - 1 ? 'fetchRetries' : null,
+        failure: failureType(error)
+      });
       if (i === retries - 1) throw error;
-      await delay(3000 * (i + 1));
+      const waitMs = await limiter.backoff(error, i);
+      if (isRateLimited(error)) log(`  Rate limited - pausing ${limiter.name} for ${Math.round(waitMs / 1000)}s`);
     }
   }
 }
 
-function extractPrice(priceStr) {
-  if (!priceStr) return null;
-  const rangeMatch = priceStr.match(/AU\s*\$?([\d,]+\.?\d*)\s*to\s*AU\s*\$?([\d,]+\.?\d*)/i);
-  if (rangeMatch) return parseFloat(rangeMatch[1].replace(/,/g, ''));
-  const match = priceStr.match(/[\d,]+\.?\d*/);
-  if (!match) return null;
-  return parseFloat(match[0].replace(/,/g, ''));
-}
+// Sends a prompt to the search's LLM provider (falls back to the configured default).
+// Responses are cached by provider, model and prompt; fresh asks the model again.
+async function callLLM(prompt, searchConfig, { fresh = false } = {}) {
+  const provider = CONFIG.llm.get(searchConfig.llmProvider);
+  const model = searchConfig.llmModel || provider.model;
+  const key = crypto.createHash('sha256').update(`${provider.name}\n${model}\n${prompt}`).digest('hex');
+
+  if (!fresh) {
+    const cached = CONFIG.cache.get(CACHE_KINDS.LLM, key);
+    if (cached !== undefined) {
+      CONFIG.runLog.count('llmCached');
+      return cached;
+    }
+  }
 
-function parseTimeLeft(timeStr) {
-  if (!timeStr || timeStr === 'N/A') return null;
-  const daysMatch = timeStr.match(/(\d+)d/);
-  const hoursMatch = timeStr.match(/(\d+)h/);
-  const minsMatch = timeStr.match(/(\d+)m/);
-  let minutes = 0;
-  if (daysMatch) minutes += parseInt(daysMatch[1]) * 24 * 60;
-  if (hoursMatch) minutes += parseInt(hoursMatch[1]) * 60;
-  if (minsMatch) minutes += parseInt(minsMatch[1]);
-  return minutes;
+  CONFIG.budget.ensure('tokens');
+  const limiter = CONFIG.rateLimits.get('llm', provider.name, provider.type !== 'stub');
+  const response = await provider.complete(prompt, { model: searchConfig.llmModel }, limiter);
+  // Prompt and response are both billed
+  const tokens = estimateTokens(prompt) + estimateTokens(response);
+  CONFIG.budget.spend('tokens', tokens);
+  CONFIG.runLog.count('llmCalls');
+  CONFIG.runLog.count('llmTokens', tokens);
+  if (response) CONFIG.cache.set(CACHE_KINDS.LLM, key, response, { tokens });
+  return response;
 }
 
 // ═══════════════════════════════════════════════════════════
 // AI RANKING
 // ═══════════════════════════════════════════════════════════
-async function rankItemsWithGemini(items, searchTerm, expectedPrice, urgentThresholdMins, includeDescriptions = false) {
-  if (items.length === 0) return [];
+function buildRankingPrompt(items, searchConfig, urgentThresholdMins, includeDescriptions) {
+  const { term: searchTerm, expectedPrice, marketStats } = searchConfig;
   
   const itemsData = items.map((item, i) => {
     const obj = {
       id: i,
       title: item.title,
       price: item.price,
-      priceNumeric: extractPrice(item.price) || 0,
+      priceNumeric: item.pricing.price || 0,
+      priceMax: item.pricing.isRange ? item.pricing.priceMax : undefined,
       condition: item.condition,
       shipping: item.shipping,
+      shippingCost: item.pricing.shippingCost,
+      landedCost: item.pricing.landed,
+      fulfilment: item.fulfilment,
       location: item.distance,
       isAuction: item.isAuction,
       timeLeft: item.timeLeft,
-      timeLeftMinutes: parseTimeLeft(item.timeLeft),
+      timeLeftMinutes: minutesLeft(item),
       bidCount: item.bidCount,
-      sellerRating: item.sellerRating
+      bestOffer: item.bestOffer,
+      watchers: item.watchers,
+      sellerRating: item.sellerRating,
+      sellerFeedbackCount: item.sellerFeedbackCount
     };
     
     if (includeDescriptions && item.description) {
       obj.description = item.description.substring(0, 1500); // Limit to 1500 chars for AI
     }
+    if (includeDescriptions && item.itemSpecifics) {
+      obj.itemSpecifics = item.itemSpecifics;
+      obj.photoCount = item.photoCount;
+      obj.returnsPolicy = item.returnsPolicy;
+      obj.sellerMemberSince = item.sellerMemberSince;
+      obj.lastUpdated = item.lastUpdated;
+      obj.listingFlags = listingFlags(item);
+    }
     
     return obj;
   });
 
   const urgentHours = (urgentThresholdMins / 60).toFixed(1);
-
-  const prompt = `You are an expert eBay deal analyzer for "${searchTerm}". ${expectedPrice ? `Expected fair market value: AUD $${expectedPrice}.` : ''}
+  const pickupOnly = items.every(item => item.fulfilment === 'pickup');
+  const currency = CONFIG.currency.base;
+  const marketNote = marketStats
+    ? ` (median of ${marketStats.sampleSize} recent sold listings, middle 50% sold between ${currency} ${marketStats.q1} and ${marketStats.q3})`
+    : '';
+  // Our own verdicts on similar listings (see lib/feedback.js), as few-shot examples
+  const examples = selectExamples(searchConfig.verdicts, items, searchConfig.feedbackExamples);
+  const examplesNote = examples.length > 0
+    ? `OUR PAST VERDICTS ON SIMILAR LISTINGS (the buyer's own judgement - score listings like these the same way):\n${examples.map(verdict => formatExample(verdict, currency)).join('\n')}\n\n`
+    : '';
+
+  const prompt = `You are an expert eBay deal analyzer for "${searchTerm}". ${expectedPrice ? `Expected fair market value: ${currency} ${expectedPrice}${marketNote}.` : ''} All numeric prices (priceNumeric, landedCost, shippingCost) are in ${currency}.
 
 ${includeDescriptions ? 'TASK: Rank these items by VALUE (considering price, condition, descriptions, AND auction timing).' : 'TASK: Rank these items by VALUE based on title, price, condition, shipping, and auction timing.'}
 
-Items to analyze:
+${pickupOnly ? `NOTE: All items below are PICKUP ONLY within ${searchConfig.distance}km of postcode ${searchConfig.postcode}. Compare them with each other; the buyer must collect in person.\n` : ''}Items to analyze:
 ${JSON.stringify(itemsData, null, 2)}
 
-RANKING CRITERIA (in priority order):
+${examplesNote}RANKING CRITERIA (in priority order):
 1. **Relevance to "${searchTerm}"** - must actually match what user is looking for
 2. **AUCTION TIMING (CRITICAL FOR URGENCY):**
    - Auctions ending in <${urgentHours}h with 0-2 bids = URGENT OPPORTUNITY (major score boost +20)
@@ -203,7 +319,7 @@ RANKING CRITERIA (in priority order):
    - Auctions ending soon with many bids = likely to increase (slight penalty -5)
    - Auctions with 1+ days remaining = valuable but less urgent (neutral)
    - Buy It Now = stable price, no time pressure (neutral)
-3. **Price vs. expected value** - lower is better if quality is good
+3. **Landed cost vs. expected value** - use landedCost (price + shipping), lower is better if quality is good; priceMax means a variation range
 4. **Condition** - new/mint > excellent > very good > good > acceptable
 5. **Bid activity** - fewer bids on auctions = better deal potential
 6. **Shipping cost** - free > low cost > expensive
@@ -216,12 +332,16 @@ ${includeDescriptions ? `8. **Description quality indicators:**
    - "as-is", "for parts", "not working" (-30 points)
    - Damage, cracks, repairs needed (-20 points)
    - Missing parts, no accessories (-10 points)
-   - "needs work", "project", "restore" (-15 points)` : ''}
+   - "needs work", "project", "restore" (-15 points)
+10. **Item page details:**
+   - itemSpecifics (brand, model, year, size/length) that contradict the title or search = mismatch (-20 points)
+   - listingFlags: "no returns" (-5), few photos (-5)
+   - "revised" listings: check the description for price or condition changes` : ''}
 
 SCORING STRATEGY:
 - Start with base score of 50
 - Highly relevant match: +20 points
-- Price well below expected value: +15 points
+- Landed cost well below expected value: +15 points
 - Ending soon (<${urgentHours}h) with low bids: +20 points (URGENT)
 - Ending soon (${urgentHours}-${parseFloat(urgentHours)*2}h) with low bids: +10 points
 - Excellent condition (new/mint): +10 points
@@ -245,33 +365,238 @@ OUTPUT FORMAT (strict JSON):
 Rules:
 - Filter out items NOT relevant to "${searchTerm}" (score them <30)
 - Score range: 0-100 (100 = best value)
+- Score VALUE only - scam risk (seller history, off-eBay contact, too-good-to-be-true prices) is assessed separately
 - Sort by score descending (best deals first)
 - Emphasize auction timing in reasoning for time-sensitive deals
 ${includeDescriptions ? '- CRITICAL: Mention red flags from description if present\n- Highlight quality indicators from description' : ''}
 - Be concise (2-3 sentences max)
 - ONLY return valid JSON, no other text`;
 
-  const response = await callGeminiAPI(prompt, 0.2);
-  let jsonStr = response.trim();
-  
-  if (jsonStr.startsWith('```')) {
-    jsonStr = jsonStr.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  return prompt;
+}
+
+// Ranks one batch, retrying just this batch when the response can't be parsed
+// or covers less than half of its items
+async function rankBatch(batch, batchLabel, searchConfig, urgentThresholdMins, includeDescriptions) {
+  const prompt = buildRankingPrompt(batch, searchConfig, urgentThresholdMins, includeDescriptions);
+  const attempts = 1 + (searchConfig.rankBatchRetries ?? 1);
+  let best = [];
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    // Retries skip the cache, otherwise they'd get the same unusable response back
+    const response = await callLLM(prompt, searchConfig, { fresh: attempt > 1 });
+    const { rankings, errors, repaired } = parseRankingResponse(response, batch.length);
+
+    if (repaired) log(`    ${batchLabel}: repaired malformed/truncated JSON (${rankings.length} entries salvaged)`);
+    if (errors.length > 0) log(`    ${batchLabel}: dropped ${errors.length} invalid entr${errors.length === 1 ? 'y' : 'ies'} (${errors.slice(0, 3).join('; ')})`);
+
+    if (rankings.length > best.length) best = rankings;
+    if (best.length * 2 >= batch.length) return best;
+
+    log(`    ${batchLabel}: only ${rankings.length}/${batch.length} items ranked (attempt ${attempt}/${attempts})`);
+    if (attempt === attempts) log(`  Raw response: ${(response || '').substring(0, 200)}...`);
   }
-  
+
+  return best;
+}
+
+// Splits items into batches so large result sets don't overflow the output token limit,
+// then merges the batches into one global order. Ids in the result index into items.
+async function rankItemsWithGemini(items, searchConfig, urgentThresholdMins, includeDescriptions = false) {
+  if (items.length === 0) return [];
+
+  const batchSize = searchConfig.rankBatchSize || items.length;
+  const batchCount = Math.ceil(items.length / batchSize);
+  const merged = [];
+
+  for (let b = 0; b < batchCount; b++) {
+    const offset = b * batchSize;
+    const batch = items.slice(offset, offset + batchSize);
+    const batchLabel = `Batch ${b + 1}/${batchCount}`;
+
+    try {
+      const rankings = await rankBatch(batch, batchLabel, searchConfig, urgentThresholdMins, includeDescriptions);
+      rankings.forEach(ranking => merged.push({ ...ranking, id: ranking.id + offset, batchRank: ranking.rank }));
+      if (batchCount > 1) log(`    ${batchLabel}: ${rankings.length}/${batch.length} items ranked`);
+    } catch (error) {
+      log(`    ⚠️ ${batchLabel} failed: ${error.message}`, { search: searchConfig.name, stage: 'ranking', failure: failureType(error) });
+    }
+  }
+
+  // Global order: score first, then the model's own within-batch rank as tie-breaker
+  merged.sort((a, b) => b.score - a.score || (a.batchRank ?? Infinity) - (b.batchRank ?? Infinity));
+  return merged.map(({ batchRank, ...ranking }, i) => ({ ...ranking, rank: i + 1 }));
+}
+
+// ═══════════════════════════════════════════════════════════
+// SCORING MODES (ai / rules / hybrid)
+// ═══════════════════════════════════════════════════════════
+// Scores items according to searchConfig.scoringMode and writes the result onto each item.
+// AI mode falls back to the rule scorer when the LLM fails or returns nothing usable.
+async function scoreItems(items, searchConfig, urgentThresholdMins, includeDescriptions) {
+  const ruleOptions = {
+    searchTerm: searchConfig.term,
+    expectedPrice: searchConfig.expectedPrice,
+    urgentThresholdMins,
+    includeDescriptions
+  };
+  const mode = searchConfig.scoringMode || 'ai';
+  const ruleRankings = rankItemsWithRules(items, ruleOptions);
+
+  let aiRankings = [];
+  if (mode !== 'rules') {
+    try {
+      aiRankings = await rankItemsWithGemini(items, searchConfig, urgentThresholdMins, includeDescriptions);
+    } catch (error) {
+      log(`  ⚠️ LLM ranking failed: ${error.message}`, { search: searchConfig.name, stage: 'ranking', failure: failureType(error) });
+    }
+    if (aiRankings.length === 0) {
+      log(`  ⚠️ No usable AI rankings - falling back to rule-based scores`);
+    } else if (aiRankings.length < items.length) {
+      log(`  ⚠️ ${items.length - aiRankings.length} item(s) missing from AI rankings - using rule-based scores for them`);
+    }
+  }
+
+  const aiById = new Map(aiRankings.filter(r => items[r.id]).map(r => [r.id, r]));
+  const weight = searchConfig.hybridAiWeight;
+  let disagreements = 0;
+
+  ruleRankings.forEach(rule => {
+    const item = items[rule.id];
+    const ai = aiById.get(rule.id);
+    item.ruleScore = rule.score;
+    item.modelScore = ai ? ai.score : null;
+
+    if (!ai) {
+      // Items from a failed batch (or the whole run) fall back to their rule score
+      item.aiScore = rule.score;
+      item.aiReasoning = rule.reasoning;
+      return;
+    }
+
+    if (mode !== 'hybrid') {
+      item.aiScore = ai.score;
+      item.aiReasoning = ai.reasoning;
+      return;
+    }
+
+    item.aiScore = Math.round(weight * ai.score + (1 - weight) * rule.score);
+    item.aiReasoning = ai.reasoning;
+    if (Math.abs(ai.score - rule.score) >= searchConfig.disagreementThreshold) {
+      disagreements++;
+      item.aiReasoning += ` ⚖️ AI ${ai.score} vs rules ${rule.score}: ${rule.reasoning}`;
+      log(`    ⚖️ Disagreement on ${item.title.substring(0, 50)}...: AI ${ai.score} vs rules ${rule.score}`);
+    }
+  });
+
+  if (mode === 'hybrid' && aiRankings.length > 0) {
+    log(`  Hybrid scores blended (${Math.round(weight * 100)}% AI), ${disagreements} disagreement(s)`);
+  }
+}
+
+// Pickup-only listings are scored in their own group so they're compared with each other,
+// not against shipped listings whose landed cost includes postage
+async function scoreByFulfilment(items, searchConfig, urgentThresholdMins, includeDescriptions) {
+  const pickup = items.filter(item => item.fulfilment === 'pickup');
+  const shipped = items.filter(item => item.fulfilment !== 'pickup');
+
+  if (pickup.length > 0 && shipped.length > 0) {
+    log(`  Scoring ${shipped.length} shipped and ${pickup.length} pickup-only item(s) separately`);
+  }
+  if (shipped.length > 0) await scoreItems(shipped, searchConfig, urgentThresholdMins, includeDescriptions);
+  if (pickup.length > 0) await scoreItems(pickup, searchConfig, urgentThresholdMins, includeDescriptions);
+}
+
+// ═══════════════════════════════════════════════════════════
+// LOCAL FILTERS
+// ═══════════════════════════════════════════════════════════
+// Drops items that can never be a deal before they cost any AI tokens
+function filterItems(items, searchConfig, report = null) {
+  const { kept, dropped } = applyLocalFilters(items, searchConfig);
+  report?.recordFilters(dropped);
+
+  Object.entries(dropped).forEach(([reason, count]) => {
+    log(`  Filtered ${count} item(s): ${reason}`);
+  });
+  if (kept.length < items.length) {
+    log(`  ${kept.length}/${items.length} item(s) left after local filters`);
+  }
+
+  return kept;
+}
+
+// ═══════════════════════════════════════════════════════════
+// MARKET VALUE (sold listings)
+// ═══════════════════════════════════════════════════════════
+function buildSoldUrl(searchConfig) {
+  const { domain } = getMarketplace(searchConfig.marketplace);
+  return `https://${domain}/sch/i.html?_from=R40&${buildCommonParams(searchConfig).join('&')}&LH_Sold=1&LH_Complete=1&_ipg=240&rt=nc`;
+}
+
+async function fetchSoldPrices(searchConfig, soldUrl) {
+  log(`  Sold listings URL: ${soldUrl}`);
+
+  const html = await fetchWithDelay(soldUrl);
+  const { JSDOM } = require('jsdom');
+  const doc = new JSDOM(html).window.document;
+
+  return parseSearchResults(doc, { pricing: pricingOptionsFor(searchConfig) }).items
+    .map(item => item.pricing.price)
+    .filter(price => price);
+}
+
+// Returns the search with expectedPrice replaced by the sold-listing median when available;
+// the static expectedPrice stays as the fallback
+// offline: use cached sold prices however old they are, never fetch
+async function resolveMarketValue(searchConfig, cache, offline = false) {
+  if (!searchConfig.useMarketValue) return searchConfig;
+
+  // Cached per sold-listings URL: same site, keywords, category and conditions
+  const soldUrl = buildSoldUrl(searchConfig);
+  let entry = null;
+
   try {
-    const parsed = JSON.parse(jsonStr);
-    return parsed.rankings || [];
+    entry = cache.get(soldUrl, offline ? Infinity : undefined);
+    if (entry) {
+      log(`  💰 Market value from cache (${entry.fetchedAt})`);
+    } else if (!offline) {
+      log(`  💰 Fetching sold listings for market value...`);
+      const stats = computeMarketStats(await fetchSoldPrices(searchConfig, soldUrl));
+      entry = stats ? cache.set(soldUrl, searchConfig.term, stats) : null;
+    }
   } catch (error) {
-    log(`  Failed to parse Gemini response: ${error.message}`);
-    log(`  Raw response: ${jsonStr.substring(0, 200)}...`);
-    return [];
+    log(`  ⚠️ Market value lookup failed: ${error.message}`, { search: searchConfig.name, stage: 'market-value', failure: failureType(error) });
+  }
+
+  const stats = entry?.stats;
+  if (!stats || stats.sampleSize < cache.options.minSamples) {
+    log(`  ⚠️ Not enough sold listings (${stats?.sampleSize || 0}) - using static expected price ${searchConfig.expectedPrice ?? 'N/A'}`);
+    return searchConfig;
   }
+
+  log(`  💰 Market value: median $${stats.median} (IQR $${stats.q1}-$${stats.q3}, n=${stats.sampleSize}, ${stats.outliersRemoved} outlier(s) removed)`);
+  return {
+    ...searchConfig,
+    staticExpectedPrice: searchConfig.expectedPrice,
+    expectedPrice: stats.median,
+    marketStats: stats
+  };
 }
 
 // ═══════════════════════════════════════════════════════════
 // DESCRIPTION FETCHING
 // ═══════════════════════════════════════════════════════════
-async function fetchDescription(item) {
+// Fetches what Pass 2 ranks on from the item page: the description text plus the structured
+// fields from parseItemPage(). A cached result is reused while the listing's title, condition
+// and (fixed) price are unchanged.
+async function fetchItemDetails(item) {
+  const cacheKey = descriptionKey(item);
+  const cached = CONFIG.cache.get(CACHE_KINDS.DESCRIPTION, cacheKey);
+  if (cached !== undefined) {
+    log(`    Cached description: ${item.title.substring(0, 50)}...`);
+    return cached;
+  }
+
   try {
     log(`    Fetching description: ${item.title.substring(0, 50)}...`);
     
@@ -280,6 +605,7 @@ async function fetchDescription(item) {
     const { JSDOM } = require('jsdom');
     const dom = new JSDOM(itemHtml);
     const itemDoc = dom.window.document;
+    const details = parseItemPage(itemDoc);
 
     let desc = 'No description available';
     
@@ -306,134 +632,148 @@ async function fetchDescription(item) {
       desc = desc.split('Seller assumes')[0].trim();
     }
 
-    return desc || 'No description available';
+    const result = { description: desc || 'No description available', ...details };
+    const pagesFetched = iframe?.src ? 2 : 1;
+    CONFIG.cache.set(CACHE_KINDS.DESCRIPTION, cacheKey, result, { credits: pagesFetched * CONFIG.fetcher.creditsPerRequest });
+    return result;
   } catch (error) {
-    log(`    ⚠️ Failed to fetch description: ${error.message}`);
-    return `Error fetching description: ${error.message}`;
+    log(`    ⚠️ Failed to fetch description: ${error.message}`, { stage: 'item-details', itemId: item.itemId, failure: failureType(error) });
+    return { description: `Error fetching description: ${error.message}` };
   }
 }
 
 // ═══════════════════════════════════════════════════════════
-// EBAY SCRAPING
+// EBAY SEARCH PAGES
 // ═══════════════════════════════════════════════════════════
-async function scrapeEbay(searchConfig) {
-  log(`\n🔍 Searching for: ${searchConfig.name} (${searchConfig.term})`);
-  
-  let ebayUrl = `https://www.ebay.com.au/sch/i.html?_from=R40&_nkw=${encodeURIComponent(searchConfig.term)}&_sadis=${searchConfig.distance}&_stpos=${searchConfig.postcode}&_fspt=1&LH_PrefLoc=99&rt=nc`;
+function buildSearchUrl(searchConfig, page = 1) {
+  const params = [
+    '_from=R40',
+    ...buildCommonParams(searchConfig),
+    ...buildLocationParams(searchConfig),
+    'rt=nc',
+    ...buildListingParams(searchConfig, pricingOptionsFor(searchConfig).rate || 1)
+  ];
   
-  if (searchConfig.auctionOnly) {
-    ebayUrl += '&LH_Auction=1';
+  if (searchConfig.itemsPerPage) {
+    params.push(`_ipg=${searchConfig.itemsPerPage}`);
+  }
+  if (page > 1) {
+    params.push(`_pgn=${page}`);
   }
   
-  log(`  URL: ${ebayUrl}`);
-  
-  const html = await fetchWithDelay(ebayUrl);
-  log(`  HTML length: ${html.length.toLocaleString()} chars`);
-  
-  const { JSDOM } = require('jsdom');
-  const dom = new JSDOM(html);
-  const doc = dom.window.document;
-
-  const containers = doc.querySelectorAll('ul.srp-results li.s-item, ul.srp-results li.s-card, li.s-item');
-  log(`  Found ${containers.length} potential containers`);
-  
-  let items = [];
-
-  containers.forEach((li) => {
-    let titleEl = li.querySelector('.s-item__title, .s-card__title');
-    const title = titleEl ? titleEl.textContent.trim().replace(/\s+/g, ' ') : 'N/A';
-
-    const linkEl = li.querySelector('a[href*="itm/"], a.s-item__link');
-    const link = linkEl ? linkEl.href : '#';
-
-    let priceEl = li.querySelector('.s-item__price, .s-card__price');
-    const price = priceEl ? priceEl.textContent.trim() : 'N/A';
+  const { domain } = getMarketplace(searchConfig.marketplace);
+  return `https://${domain}/sch/i.html?${params.join('&')}`;
+}
 
-    const condEl = li.querySelector('.s-item__subtitle, .SECONDARY_INFO');
-    const condition = condEl ? condEl.textContent.trim() : 'N/A';
+// Number format and currency conversion for the search's marketplace
+function pricingOptionsFor(searchConfig) {
+  const marketplace = getMarketplace(searchConfig.marketplace);
+  return {
+    format: marketplace.format,
+    currency: marketplace.currency,
+    rate: CONFIG.currency.rateFor(marketplace.currency),
+    importShipping: marketplace.currency !== CONFIG.currency.base ? searchConfig.importShipping ?? null : null
+  };
+}
 
-    let shipping = 'N/A';
-    const shipEl = li.querySelector('.s-item__shipping, [class*="shipping"]');
-    if (shipEl) shipping = shipEl.textContent.trim();
+// eBay shows a null-search banner past the last page, and the pager's "next" is disabled on it
+function hasMoreResults(doc) {
+  if (doc.querySelector('.srp-save-null-search, .srp-controls__count-heading--zero')) return false;
+  const next = doc.querySelector('.pagination__next');
+  return !!next && next.tagName === 'A' && next.getAttribute('aria-disabled') !== 'true';
+}
 
-    let dist = 'N/A';
-    const locEl = li.querySelector('.s-item__location');
-    if (locEl) dist = locEl.textContent.trim();
+// ═══════════════════════════════════════════════════════════
+// EBAY SCRAPING
+// ═══════════════════════════════════════════════════════════
+// Fetches and parses every results page for a search (before local filters).
+// report (optional) is this search's entry in the run report - see lib/report.js
+async function fetchListings(searchConfig, report = null) {
+  const { JSDOM } = require('jsdom');
+  const maxPages = searchConfig.maxPages || 1;
+  const seenIds = new Set();
+  const items = [];
+  let parserStats = emptyStats();
+
+  for (let page = 1; page <= maxPages; page++) {
+    if (page > 1 && CONFIG.budget.state() !== BUDGET_STATE.OK) {
+      log(`  💸 API budget ${CONFIG.budget.state()} - skipping pages ${page}-${maxPages}`);
+      break;
+    }
+    const ebayUrl = buildSearchUrl(searchConfig, page);
+    log(`  Page ${page}/${maxPages} URL: ${ebayUrl}`);
 
-    const imgEl = li.querySelector('img[src*="ebayimg"], img[data-src*="ebayimg"]');
-    let imgSrc = imgEl ? (imgEl.src || imgEl.dataset?.src || '') : '';
-    if (imgSrc) imgSrc = imgSrc.replace(/\/s-l\d+/, '/s-l500').split('?')[0];
+    let html;
+    let fetchedAt;
+    try {
+      ({ html, fetchedAt } = await fetchPage(ebayUrl));
+    } catch (error) {
+      // The first page failing fails the search; later pages just end pagination early
+      if (page === 1) throw error;
+      log(`  ⚠️ Page ${page} failed (${error.message}) - continuing with ${items.length} items`, { search: searchConfig.name, stage: 'fetch-listings', failure: failureType(error) });
+      break;
+    }
 
-    let timeLeft = 'N/A';
-    let bidCount = 0;
-    let isAuction = false;
+    const doc = new JSDOM(html).window.document;
+    const { items: pageItems, stats } = parseSearchResults(doc, { pricing: pricingOptionsFor(searchConfig), now: Date.parse(fetchedAt) });
+    parserStats = mergeParserStats(parserStats, stats);
+    const newItems = pageItems.filter(item => {
+      if (seenIds.has(item.itemId)) return false;
+      seenIds.add(item.itemId);
+      return true;
+    });
+    items.push(...newItems);
 
-    const timeEl = li.querySelector('.s-item__time-left, .s-item__timeLeft');
-    if (timeEl) {
-      timeLeft = timeEl.textContent.trim();
-      isAuction = true;
-    }
+    log(`  Page ${page}: ${html.length.toLocaleString()} chars, ${stats.containers} containers, ${pageItems.length} valid, ${newItems.length} new`);
 
-    const bidEl = li.querySelector('.s-item__bids, [class*="bid"]');
-    if (bidEl) {
-      const bidText = bidEl.textContent.trim();
-      const bidMatch = bidText.match(/(\d+)\s*bid/i);
-      if (bidMatch) bidCount = parseInt(bidMatch[1]);
-      if (bidText.toLowerCase().includes('bid')) isAuction = true;
+    if (newItems.length === 0) {
+      log(`  No new item IDs on page ${page} - stopping`);
+      break;
     }
-
-    const sellerEl = li.querySelector('.s-item__seller-info');
-    let sellerRating = 'N/A';
-    if (sellerEl) {
-      const ratingMatch = sellerEl.textContent.match(/([\d.]+)%/);
-      if (ratingMatch) sellerRating = ratingMatch[1] + '%';
+    if (page < maxPages && !hasMoreResults(doc)) {
+      log(`  No more results after page ${page}`);
+      break;
     }
+  }
 
-    if (title === 'N/A' || 
-        price === 'N/A' || 
-        !link.includes('itm/') || 
-        title.toLowerCase().includes('shop on ebay')) {
-      return;
-    }
+  log(`  Extracted ${items.length} unique items`);
 
-    items.push({
-      title, price, condition, shipping, distance: dist, link, img: imgSrc,
-      timeLeft, bidCount, isAuction, sellerRating,
-      description: '',
-      aiScore: 0,
-      aiReasoning: ''
-    });
-  });
+  // Hit rates make eBay layout changes visible before they silently empty the results
+  const hitRates = formatHitRates(parserStats);
+  log(`  Selector hit rates ${hitRates.summary}`);
+  hitRates.warnings.forEach(warning => log(`  ⚠️ Parser: ${warning} - eBay layout may have changed`));
+  report?.recordExtraction(items.length, hitRates.summary);
+  return items;
+}
 
-  log(`  Extracted ${items.length} valid items`);
+// Filters and ranks listings and returns the confirmed unicorns. Options:
+//   descriptions  false skips Pass 2 entirely
+//   offline       Pass 2 uses descriptions already on the items instead of fetching them
+async function rankListings(items, searchConfig, report = null, options = {}) {
+  const { descriptions = true, offline = false } = options;
+  const candidates = filterItems(items, searchConfig, report);
+  CONFIG.runLog.items(searchConfig.name, { extracted: items.length });
 
-  if (items.length === 0) {
+  if (candidates.length === 0) {
     log(`  ⚠️ No items found for "${searchConfig.name}"`);
     return [];
   }
 
+  // Titles across the whole scrape, so copies of a listing under another seller show up
+  const titleIndex = indexTitles(items);
+  assessRiskFor(candidates, searchConfig, titleIndex);
+
   // ═══════════════════════════════════════════════════════════
   // PASS 1: AI Ranking WITHOUT Descriptions
   // ═══════════════════════════════════════════════════════════
-  log(`  🤖 Pass 1: AI ranking by title/price/condition...`);
+  log(`  🤖 Pass 1: ${searchConfig.scoringMode} ranking by title/price/condition...`);
   const urgentThresholdMins = searchConfig.urgentHours * 60;
   
   try {
-    const rankings = await rankItemsWithGemini(items, searchConfig.term, searchConfig.expectedPrice, urgentThresholdMins, false);
+    await CONFIG.runLog.time('pass1', { search: searchConfig.name }, () => scoreByFulfilment(candidates, searchConfig, urgentThresholdMins, false));
+    report?.recordPass1(candidates);
 
-    if (rankings.length === 0) {
-      log(`  ⚠️ AI ranking returned no results`);
-      return [];
-    }
-
-    rankings.forEach(ranking => {
-      if (items[ranking.id]) {
-        items[ranking.id].aiScore = ranking.score;
-        items[ranking.id].aiReasoning = ranking.reasoning;
-      }
-    });
-
-    const relevantItems = items.filter(item => item.aiScore > 20);
+    const relevantItems = candidates.filter(item => item.aiScore > 20);
     relevantItems.sort((a, b) => b.aiScore - a.aiScore);
 
     const topItems = relevantItems.slice(0, searchConfig.topN);
@@ -444,47 +784,66 @@ async function scrapeEbay(searchConfig) {
 
     // Filter initial unicorns
     const unicorns = topItems.filter(item => item.aiScore >= searchConfig.unicornThreshold);
+    CONFIG.runLog.items(searchConfig.name, { relevant: relevantItems.length, unicorn: unicorns.length });
     
     if (unicorns.length === 0) {
       log(`  No unicorns found (best score: ${topItems[0]?.aiScore || 'N/A'})`);
       return [];
     }
 
-    log(`  🦄 ${unicorns.length} potential unicorn(s) found - fetching descriptions...`);
+    if (!descriptions || (offline && !unicorns.some(item => item.description))) {
+      log(`  🦄 ${unicorns.length} unicorn(s) from Pass 1 - ${descriptions ? 'no saved descriptions' : 'descriptions disabled'}, skipping Pass 2`);
+      const allowed = blockRiskyUnicorns(unicorns, searchConfig, report);
+      report?.recordUnicorns(allowed);
+      return allowed;
+    }
+
+    // A run low on API budget only confirms the strongest unicorns; the rest keep their Pass 1 score
+    const budgetState = offline ? BUDGET_STATE.OK : CONFIG.budget.state();
+    const minPass2Score = searchConfig.unicornThreshold + CONFIG.budget.options.lowScoreMargin;
+    const confirm = budgetState === BUDGET_STATE.EXHAUSTED ? []
+      : budgetState === BUDGET_STATE.LOW ? unicorns.filter(item => item.aiScore >= minPass2Score)
+      : unicorns;
+    const unconfirmed = unicorns.filter(item => !confirm.includes(item));
+    if (unconfirmed.length > 0) {
+      log(`  💸 API budget ${budgetState} - skipping Pass 2 for ${unconfirmed.length} unicorn(s)${confirm.length ? ` scoring under ${minPass2Score}` : ''}`);
+    }
+    if (confirm.length === 0) {
+      const allowed = blockRiskyUnicorns(unicorns, searchConfig, report);
+      report?.recordUnicorns(allowed);
+      return allowed;
+    }
+
+    log(`  🦄 ${confirm.length} potential unicorn(s) found - ${offline ? 'using saved descriptions' : 'fetching descriptions'}...`);
 
     // ═══════════════════════════════════════════════════════════
     // PASS 2: Fetch Descriptions for Unicorns
     // ═══════════════════════════════════════════════════════════
-    for (let i = 0; i < unicorns.length; i++) {
-      const item = unicorns[i];
-      item.description = await fetchDescription(item);
+    if (!offline) {
+      await CONFIG.runLog.time('item-details', { search: searchConfig.name }, () =>
+        mapWithConcurrency(confirm, CONFIG.rateLimits.options.descriptionConcurrency, async item => {
+          Object.assign(item, await fetchItemDetails(item));
+        }));
     }
+    assessRiskFor(confirm, searchConfig, titleIndex);
 
     // ═══════════════════════════════════════════════════════════
     // PASS 3: AI Re-ranking WITH Descriptions
     // ═══════════════════════════════════════════════════════════
-    log(`  🤖 Pass 2: AI re-ranking unicorns with descriptions...`);
+    log(`  🤖 Pass 2: ${searchConfig.scoringMode} re-ranking unicorns with descriptions...`);
     
-    const reRankings = await rankItemsWithGemini(unicorns, searchConfig.term, searchConfig.expectedPrice, urgentThresholdMins, true);
-
-    if (reRankings.length > 0) {
-      reRankings.forEach(ranking => {
-        if (unicorns[ranking.id]) {
-          unicorns[ranking.id].aiScore = ranking.score;
-          unicorns[ranking.id].aiReasoning = ranking.reasoning;
-        }
-      });
-
-      unicorns.sort((a, b) => b.aiScore - a.aiScore);
-    }
+    await CONFIG.runLog.time('pass2', { search: searchConfig.name }, () => scoreByFulfilment(confirm, searchConfig, urgentThresholdMins, true));
+    report?.recordPass2(confirm);
 
     // Filter again after description analysis (some may have red flags)
-    const finalUnicorns = unicorns.filter(item => item.aiScore >= searchConfig.unicornThreshold);
+    const finalUnicorns = blockRiskyUnicorns([...confirm.filter(item => item.aiScore >= searchConfig.unicornThreshold), ...unconfirmed], searchConfig, report);
+    finalUnicorns.sort((a, b) => b.aiScore - a.aiScore);
+    report?.recordUnicorns(finalUnicorns);
 
     if (finalUnicorns.length > 0) {
       log(`  ✅ Final: ${finalUnicorns.length} confirmed unicorn(s) after description analysis`);
       finalUnicorns.forEach((item, i) => {
-        log(`     ${i+1}. ${item.title.substring(0, 60)}... (Final Score: ${item.aiScore})`);
+        log(`     ${i+1}. ${item.title.substring(0, 60)}... (Final Score: ${item.aiScore}${item.risk ? `, ${item.risk.level} risk` : ''})`, { search: searchConfig.name, stage: 'pass2', itemId: item.itemId });
       });
     } else {
       log(`  ⚠️ All unicorns filtered out after description analysis`);
@@ -493,171 +852,910 @@ async function scrapeEbay(searchConfig) {
     return finalUnicorns;
 
   } catch (error) {
-    log(`  ❌ AI ranking failed: ${error.message}`);
+    log(`  ❌ AI ranking failed: ${error.message}`, { search: searchConfig.name, stage: 'ranking', failure: failureType(error) });
     return [];
   }
 }
 
 // ═══════════════════════════════════════════════════════════
-// EMAIL SENDING (Google Apps Script)
+// RISK (see lib/risk.js)
 // ═══════════════════════════════════════════════════════════
-async function sendEmail(unicornDeals) {
-  if (unicornDeals.length === 0) {
-    log('No unicorn deals to send');
-    return;
+// Sets item.risk from what's known so far; runs again once Pass 2 adds descriptions and seller details
+function assessRiskFor(items, searchConfig, titleIndex) {
+  const options = { ...RISK_DEFAULTS, ...CONFIG.settings.risk };
+  if (!options.enabled) return;
+  items.forEach(item => {
+    item.risk = assessRisk(item, searchConfig, titleIndex, options);
+  });
+}
+
+// Drops unicorns at or above the search's riskBlockLevel so they never alert
+function blockRiskyUnicorns(unicorns, searchConfig, report = null) {
+  const blocked = unicorns.filter(item => riskAtLeast(item.risk?.level, searchConfig.riskBlockLevel));
+  blocked.forEach(item => {
+    log(`  🚩 Blocked ${item.risk.level}-risk unicorn: ${item.title.substring(0, 60)}... (Score: ${item.aiScore}) - ${item.risk.reasons.join(', ')}`, { search: searchConfig.name, stage: 'risk', itemId: item.itemId });
+  });
+  report?.recordBlocked(blocked);
+  return unicorns.filter(item => !blocked.includes(item));
+}
+
+async function scrapeEbay(searchConfig, report = null, options = {}) {
+  return rankListings(await fetchListings(searchConfig, report), searchConfig, report, options);
+}
+
+// ═══════════════════════════════════════════════════════════
+// VERDICT FEEDBACK
+// ═══════════════════════════════════════════════════════════
+// Attaches the search's verdicts for the ranking prompt and, with autoThreshold, moves
+// unicornThreshold to the value that best matches them
+function applyFeedback(searchConfig, feedbackStore) {
+  const verdicts = feedbackStore.forSearch(searchConfig.name);
+  if (verdicts.length === 0) return searchConfig;
+
+  const tuned = { ...searchConfig, verdicts };
+  if (searchConfig.autoThreshold) {
+    const suggestion = suggestThreshold(verdicts, searchConfig.unicornThreshold, feedbackStore.options.minVerdictsToTune);
+    if (suggestion && suggestion.threshold !== searchConfig.unicornThreshold) {
+      log(`  🎯 unicornThreshold ${searchConfig.unicornThreshold} -> ${suggestion.threshold} from ${suggestion.verdicts} verdict(s) (${suggestion.accuracy}% agreement)`);
+      tuned.unicornThreshold = suggestion.threshold;
+    }
   }
+  return tuned;
+}
 
-  log(`\n📧 Preparing email data for ${unicornDeals.length} unicorn deal(s)...`);
+// Saves a verdict with what the scanner last knew about the item: its alert record in the
+// seen-listing store and its listing in the last saved scrape. searchName may be null when
+// the item can only belong to one search.
+function recordVerdict(loaded, searchName, itemId, verdict, reason) {
+  const seen = new SeenListingStore(loaded.settings.state).load().get(itemId);
+  const scrapeCache = new ScrapeCache(loaded.settings.scrapeCache);
+  const scrapedIn = loaded.searches.filter(search => scrapeCache.get(search.name)?.items.some(item => item.itemId === itemId));
+
+  const name = searchName || seen?.searchName || (scrapedIn.length === 1 ? scrapedIn[0].name : null);
+  if (!name) throw new Error(`Can't tell which search item ${itemId} belongs to - pass --search`);
+  const searchConfig = loaded.searches.find(search => search.name === name);
+  if (!searchConfig) throw new Error(`Unknown search "${name}"`);
+
+  const item = scrapeCache.get(name)?.items.find(candidate => candidate.itemId === itemId);
+  const store = new FeedbackStore(loaded.settings.feedback).load();
+  const entry = store.add(name, itemId, verdict, reason, {
+    title: seen?.title || item?.title,
+    price: item?.price,
+    condition: item?.condition,
+    landed: item?.pricing?.landed ?? seen?.lastPrice,
+    // Score and threshold as alerted - the config (or feedback tuning) may have moved since
+    score: seen?.notifiedScore ?? seen?.lastScore,
+    threshold: seen?.notifiedThreshold ?? seen?.lastThreshold ?? null
+  });
+  store.save();
+  return entry;
+}
 
-  // Prepare deals data for Google Apps Script
-  const dealsData = unicornDeals.map(deal => {
-    const minsLeft = parseTimeLeft(deal.item.timeLeft);
-    const isUrgent = minsLeft && minsLeft <= deal.searchConfig.urgentHours * 60;
-    
-    const priceNumeric = extractPrice(deal.item.price);
-    const discount = deal.searchConfig.expectedPrice && priceNumeric 
-      ? Math.round(((deal.searchConfig.expectedPrice - priceNumeric) / deal.searchConfig.expectedPrice) * 100)
-      : 0;
-
-    return {
-      title: deal.item.title,
-      price: deal.item.price,
-      aiScore: deal.item.aiScore,
-      searchName: deal.searchConfig.name,
-      condition: deal.item.condition,
-      isAuction: deal.item.isAuction,
-      bidCount: deal.item.bidCount || 0,
-      timeLeft: deal.item.timeLeft,
-      shipping: deal.item.shipping,
-      location: deal.item.distance,
-      sellerRating: deal.item.sellerRating,
-      aiReasoning: deal.item.aiReasoning,
-      description: deal.item.description, // FULL DESCRIPTION
-      img: deal.item.img,
-      link: deal.item.link,
-      isUrgent: isUrgent,
-      discount: discount
+// ═══════════════════════════════════════════════════════════
+// SEEN-LISTING FILTER
+// ═══════════════════════════════════════════════════════════
+// Records every unicorn in the store and keeps only those worth alerting on again.
+// A new item ID that relists an earlier unicorn takes over that listing's history.
+function filterSeenDeals(store, deals) {
+  const alertDeals = [];
+
+  deals.forEach(deal => {
+    const { item, searchConfig } = deal;
+    const sighting = {
+      title: item.title,
+      searchName: searchConfig.name,
+      price: item.pricing.landed,
+      score: item.aiScore,
+      // After feedback tuning, so verdicts are later judged against the cutoff actually used
+      threshold: searchConfig.unicornThreshold,
+      sellerName: item.sellerName,
+      img: item.img
     };
-  });
+    const relistOf = store.get(item.itemId) ? null : findRelist(store.listings, item, CONFIG.settings.dedupe);
+    if (relistOf) log(`  🔁 Relist of ${relistOf.itemId}: ${item.title.substring(0, 60)}...`, { search: searchConfig.name, stage: 'dedupe', itemId: item.itemId });
+    const previous = store.observe(item.itemId, sighting, relistOf);
+    const alertTag = store.classify(previous, sighting);
 
-  try {
-    log('  Sending to Google Apps Script...');
-    
-    const response = await fetch(CONFIG.googleScriptUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        deals: dealsData,
-        recipientEmail: CONFIG.recipientEmail
-      })
+    if (!alertTag) {
+      log(`  🔕 Already notified: ${item.title.substring(0, 60)}... (Score: ${item.aiScore})`, { search: searchConfig.name, stage: 'seen', itemId: item.itemId });
+      return;
+    }
+
+    if (alertTag !== ALERT_TAGS.NEW) {
+      log(`  🔔 ${alertTag}: ${item.title.substring(0, 60)}... (was ${previous.notifiedPrice ?? 'N/A'} @ ${previous.notifiedScore ?? 'N/A'}, now ${sighting.price ?? 'N/A'} @ ${sighting.score})`);
+    }
+
+    const record = store.get(item.itemId);
+    alertDeals.push({
+      ...deal,
+      alertTag,
+      previousPrice: previous?.notifiedPrice ?? null,
+      relistOf: record.relistOf,
+      relistNote: relistNote(record, CONFIG.currency.base)
     });
+  });
 
-    const result = await response.json();
+  return alertDeals;
+}
 
-    if (result.success) {
-      log('✅ Email sent successfully via Google Apps Script!');
-    } else {
-      log(`❌ Email failed: ${result.error || 'Unknown error'}`);
-      throw new Error(`Failed to send email: ${result.error}`);
-    }
-  } catch (error) {
-    log(`❌ Email error: ${error.message}`);
-    throw error;
+// ═══════════════════════════════════════════════════════════
+// NOTIFICATIONS (see lib/notifiers.js for channels)
+// ═══════════════════════════════════════════════════════════
+// Flat deal payload - every notify channel formats these its own way
+// Good/bad links for the email when settings.feedback.linkBaseUrl points at "node scanner.js serve"
+function feedbackLinksFor(deal) {
+  const baseUrl = CONFIG.settings.feedback?.linkBaseUrl;
+  if (!baseUrl) return null;
+  const link = verdict => feedbackLink(baseUrl, deal.searchConfig.name, deal.item.itemId, verdict, process.env.FEEDBACK_TOKEN);
+  return { good: link(VERDICTS.GOOD), bad: link(VERDICTS.BAD) };
+}
+
+function buildDealPayload(deal) {
+  const minsLeft = minutesLeft(deal.item);
+  const isUrgent = !!minsLeft && minsLeft <= deal.searchConfig.urgentHours * 60;
+  
+  const landed = deal.item.pricing.landed;
+  const discount = deal.searchConfig.expectedPrice && landed 
+    ? Math.round(((deal.searchConfig.expectedPrice - landed) / deal.searchConfig.expectedPrice) * 100)
+    : 0;
+
+  return {
+    itemId: deal.item.itemId,
+    alertTag: deal.alertTag,
+    previousPrice: deal.previousPrice,
+    title: deal.item.title,
+    price: deal.item.price,
+    aiScore: deal.item.aiScore,
+    ruleScore: deal.item.ruleScore,
+    modelScore: deal.item.modelScore,
+    searchName: deal.searchConfig.name,
+    condition: deal.item.condition,
+    isAuction: deal.item.isAuction,
+    bidCount: deal.item.bidCount || 0,
+    timeLeft: deal.item.timeLeft,
+    shipping: deal.item.shipping,
+    shippingCost: deal.item.pricing.shippingCost,
+    landedPrice: formatLanded(deal.item.pricing, CONFIG.currency.base),
+    currency: CONFIG.currency.base,
+    marketplace: deal.searchConfig.marketplace || DEFAULT_MARKETPLACE,
+    landedCost: landed,
+    fulfilment: deal.item.fulfilment,
+    location: deal.item.distance,
+    sellerRating: deal.item.sellerRating,
+    sellerName: deal.item.sellerName,
+    sellerFeedbackCount: deal.item.sellerFeedbackCount,
+    endTime: deal.item.endTime,
+    bestOffer: deal.item.bestOffer,
+    buyItNow: deal.item.buyItNow,
+    watchers: deal.item.watchers,
+    aiReasoning: deal.item.aiReasoning,
+    description: deal.item.description, // FULL DESCRIPTION
+    itemSpecifics: deal.item.itemSpecifics || null,
+    photoCount: deal.item.photoCount ?? null,
+    returnsPolicy: deal.item.returnsPolicy || null,
+    sellerMemberSince: deal.item.sellerMemberSince || null,
+    lastUpdated: deal.item.lastUpdated || null,
+    flags: listingFlags(deal.item),
+    alsoMatched: deal.alsoMatched || [],
+    duplicateIds: deal.duplicateIds || [],
+    relistOf: deal.relistOf || null,
+    relistNote: deal.relistNote || null,
+    riskLevel: deal.item.risk?.level || null,
+    riskReasons: deal.item.risk?.reasons || [],
+    img: deal.item.img,
+    link: deal.item.link,
+    isUrgent: isUrgent,
+    discount: discount,
+    expectedPrice: deal.searchConfig.expectedPrice,
+    marketValue: deal.searchConfig.marketStats || null,
+    feedbackLinks: feedbackLinksFor(deal)
+  };
+}
+
+// Sends one message per route group, then settles the deals in the queue: done once every
+// channel has sent them, otherwise kept for just the channels that failed. Returns true if
+// at least one channel delivered.
+async function deliver(queue, deals, route, tier) {
+  const channels = route.channels || CONFIG.notifiers.names();
+  log(`  Sending ${tier} alert (${deals.length} deal(s)) to ${channels.join(', ')}${route.recipients ? ` for ${route.recipients.join(', ')}` : ''}`);
+  const { sent, failed } = await CONFIG.notifiers.notify(deals, { ...route, tier });
+
+  sent.forEach(name => log(`  ✅ Sent via ${name}`));
+  failed.forEach(({ name, error }) => log(`  ❌ ${name} failed: ${error.message}`, { stage: 'notify', channel: name, failure: failureType(error) }));
+
+  const itemIds = deals.map(deal => deal.itemId);
+  if (failed.length === 0) {
+    queue.remove(itemIds);
+  } else if (sent.length > 0) {
+    const retry = failed.map(({ name }) => name);
+    queue.retryOn(itemIds, retry);
+    log(`  🔁 Kept ${deals.length} deal(s) queued for ${retry.join(', ')} only`);
   }
+  return sent.length > 0;
+}
+
+// Queues every new alert, then sends instant alerts and (when due) the digest.
+// Anything that fails to send stays queued for the next run, for the channels that failed.
+async function sendNotifications(alertDeals, queue) {
+  const now = Date.now();
+  const alertSettings = CONFIG.settings.alerts;
+  const quiet = isQuietTime(new Date(now), alertSettings);
+
+  const ended = queue.pruneEnded(now);
+  if (ended > 0) log(`  Dropped ${ended} queued alert(s) for auctions that have ended`);
+
+  alertDeals.forEach(deal => {
+    const payload = buildDealPayload(deal);
+    // A relist or duplicate replaces any copy of the same item still waiting in the queue
+    queue.remove([...payload.duplicateIds, payload.relistOf].filter(Boolean));
+    queue.add(payload, tierFor(payload, deal.searchConfig), routeFor(deal.searchConfig));
+  });
+  if (queue.size === 0) return;
+
+  log(`\n📧 Alert queue: ${queue.list(TIERS.INSTANT).length} instant, ${queue.list(TIERS.DIGEST).length} digest${quiet ? ' (quiet hours)' : ''}`);
+
+  // Urgent auctions can't wait for quiet hours to end; other instant alerts are held
+  for (const entry of queue.list(TIERS.INSTANT)) {
+    if (quiet && !entry.deal.isUrgent) continue;
+    await deliver(queue, [entry.deal], entry.route, TIERS.INSTANT);
+  }
+
+  const digest = queue.list(TIERS.DIGEST);
+  if (digest.length === 0) return;
+  if (quiet) {
+    log(`  Quiet hours - ${digest.length} digest deal(s) held`);
+    return;
+  }
+  if (!queue.isDigestDue(now)) {
+    const retries = digest.filter(entry => entry.retry);
+    for (const group of groupByRoute(retries)) await deliver(queue, group.deals, group.route, TIERS.DIGEST);
+    const waiting = digest.length - retries.length;
+    if (waiting > 0) log(`  ${waiting} deal(s) waiting for the next digest (every ${queue.options.digestIntervalHours}h)`);
+    return;
+  }
+
+  let delivered = false;
+  for (const group of groupByRoute(digest)) {
+    if (await deliver(queue, group.deals, group.route, TIERS.DIGEST)) delivered = true;
+  }
+  if (delivered) queue.markDigestSent(now);
 }
 
 // ═══════════════════════════════════════════════════════════
 // MAIN
 // ═══════════════════════════════════════════════════════════
-async function main() {
+// Banner + config validation shared by one-shot and watch mode; exits on config errors
+function startup(mode) {
   log('═══════════════════════════════════════════════════════════');
-  log('🤖 eBay Deal Monitor Starting...');
+  log(`🤖 eBay Deal Monitor Starting${mode === 'once' ? '' : ` (${mode} mode)`}...`);
   log(`Scan time: ${new Date().toLocaleString('en-AU', { timeZone: 'Australia/Adelaide' })}`);
-  log(`Searching for ${CONFIG.searches.length} items`);
   log('═══════════════════════════════════════════════════════════');
   
   // Validate configuration
   try {
     validateConfig();
-    log('✅ Configuration validated');
+    log(`✅ Configuration validated (${CONFIG.configPath})`);
+    log(`Fetch backend: ${CONFIG.fetcher.name}`);
+    log(`LLM providers: ${CONFIG.llm.names().join(', ')} (default: ${CONFIG.llm.defaultName})`);
+    log(`Searching for ${CONFIG.searches.length} items`);
   } catch (error) {
     log(`❌ Configuration error: ${error.message}`);
     saveLog();
     process.exit(1);
   }
-  
+}
+
+// --search names (case-insensitive); every search when none are given
+function selectSearches(names = []) {
+  if (names.length === 0) return CONFIG.searches;
+  const wanted = names.map(name => name.toLowerCase());
+  const unknown = names.filter(name => !CONFIG.searches.some(search => search.name.toLowerCase() === name.toLowerCase()));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown search(es): ${unknown.join(', ')} (configured: ${CONFIG.searches.map(search => search.name).join(', ')})`);
+  }
+  return CONFIG.searches.filter(search => wanted.includes(search.name.toLowerCase()));
+}
+
+function openStores() {
+  const marketCache = new MarketValueCache(CONFIG.settings.marketValue);
+  const seenStore = new SeenListingStore(CONFIG.settings.state);
+  try {
+    seenStore.load();
+    log(`✅ Seen-listing store loaded: ${seenStore.size} listing(s) from ${seenStore.file}`);
+  } catch (error) {
+    log(`⚠️ ${error.message} - starting with an empty store`);
+  }
+
+  const alertQueue = new AlertQueue(CONFIG.settings.alerts);
+  try {
+    alertQueue.load();
+    if (alertQueue.size > 0) log(`✅ Alert queue loaded: ${alertQueue.size} pending alert(s)`);
+  } catch (error) {
+    log(`⚠️ ${error.message} - starting with an empty alert queue`);
+  }
+
+  let auctionTracker = null;
+  if (CONFIG.settings.tracking?.enabled !== false) {
+    auctionTracker = new AuctionTracker(CONFIG.settings.tracking);
+    try {
+      auctionTracker.load();
+      if (auctionTracker.size > 0) log(`✅ Auction tracker loaded: ${auctionTracker.active().length} active auction(s)`);
+    } catch (error) {
+      log(`⚠️ ${error.message} - starting with no tracked auctions`);
+    }
+  }
+
+  const scrapeCache = new ScrapeCache(CONFIG.settings.scrapeCache);
+  const feedbackStore = new FeedbackStore(CONFIG.settings.feedback);
+
+  return { marketCache, seenStore, alertQueue, auctionTracker, scrapeCache, feedbackStore };
+}
+
+function saveAlertQueue(alertQueue) {
+  try {
+    alertQueue.save();
+    if (alertQueue.size > 0) log(`Alert queue saved (${alertQueue.size} pending)`);
+  } catch (error) {
+    log(`⚠️ Failed to save alert queue: ${error.message}`);
+  }
+}
+
+function saveAuctionTracker(tracker) {
+  try {
+    tracker.save();
+    const stats = tracker.summary();
+    const accuracy = stats.dealRate !== null
+      ? ` - ${stats.dealRate}% of sold auctions finished at or below expected price (avg ${stats.avgFinalToExpected}% of expected)`
+      : '';
+    log(`Auction tracker saved (${stats.active} active, ${stats.closed} closed)${accuracy}`);
+  } catch (error) {
+    log(`⚠️ Failed to save auction tracker: ${error.message}`);
+  }
+}
+
+// Re-checks tracked auctions whose checkpoint has come due and returns alert deals for
+// bid jumps and prices that went past the search's value threshold
+async function followUpAuctions(tracker) {
+  const due = tracker.due();
+  if (due.length === 0) return [];
+
+  log(`\n🔁 Following up ${due.length} tracked auction(s)...`);
+  const { JSDOM } = require('jsdom');
+  const followUps = [];
+
+  for (const entry of due) {
+    // Searches removed from the config still get their final price recorded
+    const searchConfig = CONFIG.searches.find(search => search.name === entry.searchName)
+      || { ...CONFIG.defaults, name: entry.searchName, marketplace: entry.marketplace, expectedPrice: entry.expectedPrice };
+    const previousLanded = entry.lastLanded;
+
+    let page = null;
+    try {
+      page = parseAuctionPage(new JSDOM(await fetchWithDelay(entry.link, 3, { fresh: true })).window.document);
+    } catch (error) {
+      log(`  ⚠️ ${entry.title.substring(0, 50)}...: ${error.message}`);
+    }
+
+    const tags = tracker.recordCheck(entry, page, pricingOptionsFor(searchConfig));
+    if (page) {
+      const outcome = page.ended ? ` - ended, ${page.sold ? 'sold' : 'not sold'}` : '';
+      log(`  ${entry.title.substring(0, 50)}...: ${entry.lastBidCount} bid(s), ${formatLanded(entry.item.pricing, CONFIG.currency.base)}${outcome}`);
+    }
+    if (tags.length > 0) {
+      log(`  🔔 ${tags.join(', ')}: ${entry.title.substring(0, 60)}...`);
+      followUps.push({ item: entry.item, searchConfig, alertTag: tags.join(', '), previousPrice: previousLanded });
+    }
+  }
+
+  return followUps;
+}
+
+// Follow-ups on their own, for watch mode between search cycles
+async function runFollowUps(stores) {
+  const followUps = await followUpAuctions(stores.auctionTracker);
+  try {
+    await sendNotifications(followUps, stores.alertQueue);
+  } catch (error) {
+    log(`❌ Failed to send alerts: ${error.message}`);
+  }
+  saveAlertQueue(stores.alertQueue);
+  saveAuctionTracker(stores.auctionTracker);
+}
+
+// Freezes the run's metrics into summary.metrics and logs them; dry runs stay out of the history
+function finishRunMetrics(summary, dryRun = false) {
+  try {
+    summary.metrics = CONFIG.runLog.finishRun({ dryRun, searchesRun: summary.successful + summary.failed, alerts: summary.alerts }, { history: !dryRun });
+    log(`📈 Metrics: ${formatMetrics(summary.metrics)}`);
+  } catch (error) {
+    log(`⚠️ Failed to record run metrics: ${error.message}`);
+  }
+}
+
+function writeRunReport(runReport, summary) {
+  if (CONFIG.settings.report?.enabled === false) return;
+  try {
+    log(`📄 Run report written to ${runReport.write(summary)}`);
+  } catch (error) {
+    log(`⚠️ Failed to write run report: ${error.message}`);
+  }
+}
+
+// Runs the given searches, sends alerts, writes the run report and saves state. Options:
+//   rerank        rank the last saved scrape (stores.scrapeCache) instead of fetching eBay
+//   dryRun        send nothing and leave the seen/alert/tracking state untouched
+//   sendAlerts    false treats the alerts like a dry run (rerank does unless --send-alerts)
+//   descriptions  false skips Pass 2
+//   shouldStop()  checked between searches so watch mode can shut down part-way
+// Returns { results: [{ name, ok, error, unicorns }], successfulSearches, failedSearches, report }
+async function runScan(searches, stores, options = {}) {
+  const { rerank = false, dryRun = false, sendAlerts = true, descriptions = true, shouldStop = () => false } = options;
+  const { marketCache, seenStore, alertQueue, auctionTracker, scrapeCache, feedbackStore } = stores;
   const unicornDeals = [];
-  const allResults = [];
+  const results = [];
   let successfulSearches = 0;
   let failedSearches = 0;
 
-  for (let i = 0; i < CONFIG.searches.length; i++) {
-    const searchConfig = CONFIG.searches[i];
+  // Every ranked item, not just unicorns, ends up in the HTML/JSON run report (also used for --json)
+  const runReport = new RunReport(CONFIG.settings.report, CONFIG.currency.base);
+
+  CONFIG.cache.resetStats();
+  try {
+    const pruned = CONFIG.cache.prune();
+    if (pruned > 0) log(`🗑️ Pruned ${pruned} expired cache entr${pruned === 1 ? 'y' : 'ies'}`);
+  } catch (error) {
+    log(`⚠️ Failed to prune response cache: ${error.message}`);
+  }
+
+  CONFIG.budget.reset();
+  CONFIG.runLog.startRun();
+
+  // Reloaded every run so verdicts recorded while watch mode runs are picked up
+  try {
+    feedbackStore.load();
+    if (feedbackStore.size > 0) log(`📝 ${feedbackStore.size} verdict(s) loaded for ranking examples`);
+  } catch (error) {
+    log(`⚠️ ${error.message} - ranking without verdict examples`);
+  }
+
+  // Searches run searchConcurrency at a time; the shared rate limiters pace their requests
+  let skipped = 0;
+  const outcomes = await mapWithConcurrency(searches, CONFIG.rateLimits.options.searchConcurrency, async search => {
+    if (shouldStop()) {
+      skipped++;
+      return null;
+    }
+
+    let searchConfig = search;
+    let searchReport = null;
     
     try {
-      const unicorns = await scrapeEbay(searchConfig);
+      log(`\n🔍 ${rerank ? 'Re-ranking' : 'Searching for'}: ${searchConfig.name} (${searchConfig.term})`);
+      searchConfig = await CONFIG.runLog.time('market-value', { search: search.name }, () => resolveMarketValue(search, marketCache, rerank));
+      searchConfig = applyFeedback(searchConfig, feedbackStore);
+      searchReport = runReport.startSearch(searchConfig);
+
+      let items;
+      if (rerank) {
+        const saved = scrapeCache.get(searchConfig.name);
+        if (!saved) throw new Error('no saved scrape - run this search once without rerank first');
+        // Auctions that have ended since the scrape can't be bought any more
+        items = saved.items.filter(item => !auctionEnded(item));
+        const ended = saved.items.length - items.length;
+        log(`  Loaded ${saved.items.length} item(s) scraped ${saved.scrapedAt}${ended > 0 ? ` (${ended} ended auction(s) dropped)` : ''}`);
+        searchReport.recordExtraction(items.length, 'from saved scrape');
+      } else {
+        items = await CONFIG.runLog.time('fetch-listings', { search: searchConfig.name }, () => fetchListings(searchConfig, searchReport));
+      }
+
+      const unicorns = await CONFIG.runLog.time('ranking', { search: searchConfig.name }, () => rankListings(items, searchConfig, searchReport, { descriptions, offline: rerank }));
+      CONFIG.runLog.items(searchConfig.name, { confirmed: unicorns.length });
+      // Saved after ranking so fetched descriptions are kept for the next rerank
+      if (!rerank) scrapeCache.set(searchConfig.name, items);
       
       if (unicorns.length > 0) {
-        successfulSearches++;
-        
-        // Store all results
-        unicorns.forEach(item => {
-          allResults.push({ item, searchConfig });
-          unicornDeals.push({ item, searchConfig });
-        });
-        
         log(`  🦄 ${unicorns.length} CONFIRMED UNICORN(S) for "${searchConfig.name}"!`);
       } else {
-        successfulSearches++;
         log(`  No unicorns found for "${searchConfig.name}"`);
       }
-      
-      // Delay between searches to avoid rate limits
-      if (i < CONFIG.searches.length - 1) {
-        log(`  Waiting 5 seconds before next search...`);
-        await delay(5000);
-      }
+      return { result: { name: searchConfig.name, ok: true, unicorns: unicorns.length }, deals: unicorns.map(item => ({ item, searchConfig })) };
       
     } catch (error) {
-      failedSearches++;
-      log(`❌ Error searching for "${searchConfig.name}": ${error.message}`);
+      (searchReport || runReport.startSearch(searchConfig)).fail(error);
+      log(`❌ Error searching for "${searchConfig.name}": ${error.message}`, { search: searchConfig.name, stage: 'search', failure: failureType(error) });
       log(`   Stack: ${error.stack}`);
+      return { result: { name: searchConfig.name, ok: false, error: error.message }, deals: [] };
     }
-  }
+  });
+
+  if (skipped > 0) log(`⏹️ Stopping - skipped ${skipped} remaining search(es)`);
+  outcomes.filter(Boolean).forEach(({ result, deals }) => {
+    results.push(result);
+    unicornDeals.push(...deals);
+  });
+  successfulSearches = results.filter(result => result.ok).length;
+  failedSearches = results.length - successfulSearches;
 
   log('\n═══════════════════════════════════════════════════════════');
   log('📊 SCAN SUMMARY:');
-  log(`Successful searches: ${successfulSearches}/${CONFIG.searches.length}`);
-  log(`Failed searches: ${failedSearches}/${CONFIG.searches.length}`);
+  log(`Successful searches: ${successfulSearches}/${searches.length}`);
+  log(`Failed searches: ${failedSearches}/${searches.length}`);
   log(`Unicorn deals found: ${unicornDeals.length}`);
+  // One deal per item: copies from other searches and duplicate listings are folded in
+  const mergedDeals = mergeDuplicates(unicornDeals, CONFIG.settings.dedupe);
+  const duplicates = unicornDeals.length - mergedDeals.length;
+  if (duplicates > 0) log(`Duplicate listings merged: ${duplicates}`);
+  const cacheSummary = CONFIG.cache.summary();
+  if (cacheSummary) {
+    const saved = CONFIG.cache.savings();
+    log(`Response cache hits: ${cacheSummary} (saved ~${saved.credits} ScraperAPI credit(s), ~${saved.tokens} LLM token(s))`);
+  }
+  if (CONFIG.budget.limited) log(`API budget used: ${CONFIG.budget.summary()} (${CONFIG.budget.state()})`);
+
+  const alertDeals = filterSeenDeals(seenStore, mergedDeals);
+  log(`New or changed deals to send: ${alertDeals.length}`);
   log('═══════════════════════════════════════════════════════════');
 
-  if (unicornDeals.length > 0) {
+  if (alertDeals.length === 0 && unicornDeals.length > 0) {
+    log('\n💭 All unicorn deals were already sent.');
+  } else if (alertDeals.length === 0) {
+    log('\n💭 No unicorn deals found this time.');
+  }
+
+  if (!rerank) {
     try {
-      await sendEmail(unicornDeals);
+      scrapeCache.save();
     } catch (error) {
-      log(`❌ Failed to send email: ${error.message}`);
+      log(`⚠️ Failed to save scrape cache: ${error.message}`);
     }
-  } else {
-    log('\n💭 No unicorn deals found this time. Will check again in 48 hours.');
   }
 
+  const summary = {
+    successful: successfulSearches,
+    failed: failedSearches,
+    unicorns: unicornDeals.length,
+    duplicates,
+    alerts: alertDeals.length,
+    cache: { ...CONFIG.cache.stats },
+    budget: CONFIG.budget.toJSON(),
+    tracking: auctionTracker?.summary() || null
+  };
+
+  if (dryRun || !sendAlerts) {
+    log(dryRun
+      ? `\n🧪 Dry run - ${alertDeals.length} alert(s) not sent, alert and seen-listing state not saved`
+      : `\n🔁 Re-rank - ${alertDeals.length} alert(s) not sent (add --send-alerts to send them), alert and seen-listing state not saved`);
+    alertDeals.forEach(deal => log(`  Would alert (${deal.alertTag}): ${deal.item.title.substring(0, 60)}... (Score: ${deal.item.aiScore})`, { search: deal.searchConfig.name, stage: 'notify', itemId: deal.item.itemId }));
+    finishRunMetrics(summary, true);
+    writeRunReport(runReport, summary);
+    return { results, successfulSearches, failedSearches, report: runReport.toJSON(summary) };
+  }
+
+  // Follow-ups fetch live auction pages, which a rerank of saved data shouldn't do
+  const followUps = auctionTracker && !rerank ? await followUpAuctions(auctionTracker) : [];
+
+  // Queued deals count as notified - the queue keeps retrying them until they are sent
+  try {
+    await CONFIG.runLog.time('notify', {}, () => sendNotifications([...alertDeals, ...followUps], alertQueue));
+    alertDeals.forEach(deal => seenStore.markNotified(deal.item.itemId));
+  } catch (error) {
+    log(`❌ Failed to send alerts: ${error.message}`);
+  }
+  saveAlertQueue(alertQueue);
+
+  // Alerted auctions are followed until they end so their final price can be recorded
+  if (auctionTracker) {
+    const tracked = alertDeals.filter(deal => auctionTracker.track(deal.item, deal.searchConfig)).length;
+    if (tracked > 0) log(`🔁 Tracking ${tracked} new auction(s) until they end`);
+    saveAuctionTracker(auctionTracker);
+  }
+
+  finishRunMetrics(summary);
+  writeRunReport(runReport, summary);
+
+  try {
+    seenStore.save();
+    log(`Seen-listing store saved (${seenStore.size} listing(s))`);
+  } catch (error) {
+    log(`⚠️ Failed to save seen-listing store: ${error.message}`);
+  }
+
+  return { results, successfulSearches, failedSearches, report: runReport.toJSON(summary) };
+}
+
+// One-shot run (also "rerank"); options come from parseCliArgs()
+async function main(options = {}) {
+  startup(options.command === 'rerank' ? 'rerank' : 'once');
+
+  let searches;
+  try {
+    searches = selectSearches(options.searches);
+  } catch (error) {
+    log(`❌ ${error.message}`);
+    saveLog();
+    process.exit(1);
+  }
+
+  const stores = openStores();
+  const { failedSearches, report } = await runScan(searches, stores, {
+    rerank: options.command === 'rerank',
+    dryRun: options.dryRun,
+    sendAlerts: options.command !== 'rerank' || options.sendAlerts,
+    descriptions: options.descriptions
+  });
+
+  if (options.json) process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+
   saveLog();
   log('\n✅ Monitoring complete!');
   
   // Exit with error code if all searches failed
-  if (failedSearches === CONFIG.searches.length) {
+  if (failedSearches === searches.length) {
     log('❌ All searches failed - exiting with error');
     process.exit(1);
   }
 }
 
-// Run the scanner
-main().catch(error => {
-  log(`💥 Fatal error: ${error.message}`);
-  log(error.stack);
+// ═══════════════════════════════════════════════════════════
+// WATCH MODE
+// ═══════════════════════════════════════════════════════════
+// Long-running loop: each search runs on its own intervalHours/jitterMinutes schedule,
+// searches that come due together share one cycle (one report, one alert batch), and a
+// failing search is simply retried at its next slot. SIGTERM/SIGINT finish the current
+// search, send alerts and save state before exiting.
+async function watch(options = {}) {
+  startup('watch');
+
+  let searches;
+  try {
+    searches = selectSearches(options.searches);
+  } catch (error) {
+    log(`❌ ${error.message}`);
+    saveLog();
+    process.exit(1);
+  }
+
+  const stores = openStores();
+  const scheduler = new SearchScheduler(searches, CONFIG.settings.watch);
+  try {
+    scheduler.load();
+  } catch (error) {
+    log(`⚠️ ${error.message} - scheduling every search now`);
+  }
+
+  let stopping = false;
+  let wake = null;
+  const stop = signal => {
+    if (stopping) return;
+    log(`\n🛑 ${signal} received - shutting down after the current search`);
+    stopping = true;
+    wake?.();
+  };
+  process.on('SIGTERM', () => stop('SIGTERM'));
+  process.on('SIGINT', () => stop('SIGINT'));
+
+  const sleep = ms => new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    wake = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  });
+
+  const writeStatus = (state, current) => {
+    try {
+      scheduler.writeStatus(state, current);
+    } catch (error) {
+      log(`⚠️ Failed to write watch status: ${error.message}`);
+    }
+  };
+
+  const { tickSeconds, flushMinutes } = scheduler.options;
+  let lastFlush = Date.now();
+
+  while (!stopping) {
+    const dueNames = scheduler.due();
+
+    if (dueNames.length > 0) {
+      const dueSearches = searches.filter(search => dueNames.includes(search.name));
+      log(`\n⏰ ${new Date().toLocaleString('en-AU', { timeZone: 'Australia/Adelaide' })}: running ${dueNames.join(', ')}`);
+      writeStatus('running', dueNames);
+
+      const { results } = await runScan(dueSearches, stores, {
+        dryRun: options.dryRun,
+        descriptions: options.descriptions,
+        shouldStop: () => stopping
+      });
+      results.forEach(result => scheduler.markFinished(result.name, result));
+      lastFlush = Date.now();
+
+      const nextIn = Math.round(scheduler.msUntilNext() / 60000);
+      log(`Next search in ${nextIn} minute(s)`);
+      saveLog();
+      // Only the latest cycle is kept in scan-log.txt (and its events) so a long-running process doesn't grow forever
+      logMessages = [];
+      CONFIG.runLog.reset();
+    } else if (stores.auctionTracker?.due().length > 0) {
+      await runFollowUps(stores);
+    } else if (stores.alertQueue.size > 0 && Date.now() - lastFlush >= flushMinutes * 60000) {
+      // Held alerts (quiet hours, digest interval, failed sends) go out without waiting for a search
+      try {
+        await sendNotifications([], stores.alertQueue);
+      } catch (error) {
+        log(`❌ Failed to send alerts: ${error.message}`);
+      }
+      saveAlertQueue(stores.alertQueue);
+      lastFlush = Date.now();
+    }
+
+    writeStatus(stopping ? 'stopped' : 'idle', []);
+    if (!stopping) await sleep(Math.min(scheduler.msUntilNext(), tickSeconds * 1000));
+  }
+
+  writeStatus('stopped', []);
+  log('👋 Watch mode stopped');
   saveLog();
-  process.exit(1);
-});
\ No newline at end of file
+}
+
+// ═══════════════════════════════════════════════════════════
+// CLI COMMANDS
+// ═══════════════════════════════════════════════════════════
+// "list" only needs the config file, not API keys
+function listSearches() {
+  const loaded = loadSearchConfig(CONFIG.configPath);
+  loaded.errors.forEach(error => console.error(`⚠️ ${error}`));
+  console.log(`${loaded.searches.length} search(es) in ${CONFIG.configPath}:\n`);
+  loaded.searches.forEach(search => {
+    const price = search.expectedPrice ? `expected ${search.expectedPrice}` : 'no expected price';
+    const channels = search.notify ? ` -> ${search.notify.join(', ')}` : '';
+    console.log(`  ${search.name}`);
+    console.log(`    "${search.term}" on ${search.marketplace || DEFAULT_MARKETPLACE}, ${price}, ${search.scoringMode} scoring, unicorn >= ${search.unicornThreshold}`);
+    console.log(`    every ${search.intervalHours}h in watch mode${channels}`);
+  });
+  if (loaded.errors.length > 0) process.exitCode = 1;
+}
+
+function validateCommand() {
+  try {
+    validateConfig();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  console.log(`✅ ${CONFIG.configPath}: ${CONFIG.searches.length} search(es), fetch backend ${CONFIG.fetcher.name}, ` +
+    `LLM ${CONFIG.llm.names().join('/')}, notify ${CONFIG.notifiers.names().join('/')}`);
+}
+
+// "feedback <itemId> good|bad [reason]" or "feedback report"
+function feedbackCommand(options) {
+  const loaded = loadSearchConfig(CONFIG.configPath);
+  const [first, verdict, ...reasonWords] = options.args;
+
+  if (first === 'report' || !first) {
+    const store = new FeedbackStore(loaded.settings.feedback).load();
+    const report = store.names().map(name => {
+      const searchConfig = loaded.searches.find(search => search.name === name);
+      const verdicts = store.forSearch(name);
+      // The cutoff of the newest alert that got a verdict, else the configured one
+      const threshold = verdicts.find(entry => entry.threshold !== null)?.threshold ?? searchConfig?.unicornThreshold ?? null;
+      return {
+        name,
+        verdicts: verdicts.length,
+        good: verdicts.filter(entry => entry.verdict === VERDICTS.GOOD).length,
+        months: agreementByMonth(verdicts),
+        threshold,
+        suggested: threshold !== null ? suggestThreshold(verdicts, threshold, store.options.minVerdictsToTune) : null
+      };
+    });
+
+    if (options.json) {
+      process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+      return;
+    }
+    if (report.length === 0) console.log(`No verdicts yet (${store.file})`);
+    report.forEach(search => {
+      console.log(`\n${search.name}: ${search.verdicts} verdict(s), ${search.good} good`);
+      search.months.forEach(month => console.log(`  ${month.month}  ${String(month.rate).padStart(3)}% agreement (${month.agreed}/${month.verdicts})`));
+      if (search.suggested) {
+        console.log(`  unicornThreshold ${search.threshold}, best fit ${search.suggested.threshold} (${search.suggested.accuracy}% of ${search.suggested.verdicts} verdicts)`);
+      }
+    });
+    return;
+  }
+
+  if (!verdict) {
+    console.error(`Usage: node scanner.js feedback <itemId> ${Object.values(VERDICTS).join('|')} [reason]`);
+    process.exit(2);
+  }
+  if (options.searches.length > 1) {
+    console.error('feedback takes at most one --search');
+    process.exit(2);
+  }
+  try {
+    const entry = recordVerdict(loaded, options.searches[0] || null, first, verdict, reasonWords.join(' '));
+    console.log(`📝 Saved ${entry.verdict} for ${entry.title || entry.itemId}${entry.reason ? ` - ${entry.reason}` : ''}`);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Local endpoint for the good/bad links in alert emails; set FEEDBACK_TOKEN to require a token
+// (required when it listens beyond localhost)
+function serveCommand() {
+  const loaded = loadSearchConfig(CONFIG.configPath);
+  const { host, port } = new FeedbackStore(loaded.settings.feedback).options;
+  const record = (searchName, itemId, verdict, reason) => recordVerdict(loaded, searchName, itemId, verdict, reason);
+  let server;
+  try {
+    server = createFeedbackServer(record, { token: process.env.FEEDBACK_TOKEN || null, host, log });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  server.listen(port, host, () => log(`📝 Feedback endpoint listening on http://${host}:${port}/feedback`));
+
+  const stop = () => server.close(() => log('👋 Feedback endpoint stopped'));
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+}
+
+async function runCli(argv) {
+  let options;
+  try {
+    options = parseCliArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  // SCANNER_MODE=watch keeps older deployments that set it working
+  if (options.command === 'run' && process.env.SCANNER_MODE === 'watch') options.command = 'watch';
+  logToStderr = options.json;
+
+  switch (options.command) {
+    case 'list':
+      return listSearches();
+    case 'validate':
+      return validateCommand();
+    case 'feedback':
+      return feedbackCommand(options);
+    case 'serve':
+      return serveCommand();
+    case 'watch':
+      return watch(options);
+    default:
+      return main(options);
+  }
+}
+
+if (require.main === module) {
+  runCli(process.argv.slice(2)).catch(error => {
+    log(`💥 Fatal error: ${error.message}`);
+    log(error.stack);
+    saveLog();
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  CONFIG,
+  validateConfig,
+  selectSearches,
+  openStores,
+  buildSearchUrl,
+  fetchListings,
+  rankListings,
+  scrapeEbay,
+  scoreItems,
+  resolveMarketValue,
+  filterSeenDeals,
+  sendNotifications,
+  runScan,
+  main,
+  watch,
+  runCli
+};
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildListingParams, applyLocalFilters } = require('../lib/search-filters');
+const { getMarketplace } = require('../lib/marketplaces');
+const { computePricing } = require('../lib/pricing');
+
+// A search on ebay.com with AUD as the base currency: 1 USD = 1.5 AUD
+const search = { marketplace: 'ebay.com', minPrice: 300, maxPrice: 1500 };
+const rate = 1.5;
+const { format, currency } = getMarketplace(search.marketplace);
+const listing = price => ({ title: 'Maton guitar', condition: 'Used', pricing: computePricing(`$${price}`, 'Free shipping', { format, currency, rate }) });
+
+test('price bounds go to eBay in the marketplace currency', () => {
+  const params = buildListingParams(search, rate);
+  assert.ok(params.includes('_udlo=200'));
+  assert.ok(params.includes('_udhi=1000'));
+});
+
+test('eBay and the local filter agree on a non-base marketplace', () => {
+  // USD prices either side of the bounds eBay was given
+  const { kept } = applyLocalFilters([150, 200, 600, 1000, 1100].map(listing), search);
+  assert.deepStrictEqual(kept.map(item => item.pricing.price), [300, 900, 1500]);
+});
+
+test('bounds are unchanged on the base marketplace', () => {
+  const params = buildListingParams({ minPrice: 300, maxPrice: 1500 });
+  assert.ok(params.includes('_udlo=300'));
+  assert.ok(params.includes('_udhi=1500'));
+});